@@ -0,0 +1,576 @@
+/**
+ * Sharp Typing Tutor - LAN Race Server
+ *
+ * A small WebSocket server for typing races on a local network. It uses only
+ * Node's built-in modules, so there is nothing to install and no external
+ * service involved. It also serves the app itself, so players on the LAN can
+ * open http://<host>:<port>/ and join a race from there.
+ *
+ * Usage: node "Typing Web App Race Server.js" [port]
+ *
+ * Protocol (JSON text frames):
+ *   client -> server
+ *     { type: 'join', room, name }        join a room, or create one when room is empty
+ *     { type: 'start', text, title }      host only: count down and race on this text
+ *     { type: 'progress', position, wpm } cursor position while racing
+ *     { type: 'finish', wpm, accuracy }   the player typed the whole text
+ *     { type: 'withdraw' }                the player dropped out of the race
+ *   server -> client
+ *     { type: 'joined', room, playerId }
+ *     { type: 'players', state, hostId, textLength, players }
+ *     { type: 'countdown', text, title, startAt, serverTime }
+ *     { type: 'results', leaderboard }
+ *     { type: 'error', code, message }
+ */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_PORT = 8080;
+
+// Time between the host pressing start and the race beginning
+const COUNTDOWN_MS = 3000;
+
+// Races end for everyone this long after they start, finished or not
+const RACE_TIMEOUT_MS = 10 * 60 * 1000;
+
+const MAX_PLAYERS = 12;
+const MAX_NAME_LENGTH = 24;
+const MAX_TEXT_LENGTH = 2000;
+const MAX_MESSAGE_BYTES = 16 * 1024;
+const ROOM_CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_PATTERN = /^[A-Z0-9]{4,8}$/;
+
+// ============================================================================
+// STATIC FILES
+// ============================================================================
+
+// Only the app's own files are served
+const STATIC_FILES = {
+    '/': { file: 'Typing Web App.html', type: 'text/html; charset=utf-8' },
+    '/index.html': { file: 'Typing Web App.html', type: 'text/html; charset=utf-8' },
+    '/script.js': { file: 'Typing Web App Script.js', type: 'text/javascript; charset=utf-8' },
+    '/style.css': { file: 'Typing Web App Style.css', type: 'text/css; charset=utf-8' },
+    '/service-worker.js': { file: 'Typing Web App Service Worker.js', type: 'text/javascript; charset=utf-8' },
+    '/manifest.webmanifest': { file: 'Typing Web App Manifest.webmanifest', type: 'application/manifest+json' },
+    '/icon.svg': { file: 'Typing Web App Icon.svg', type: 'image/svg+xml' }
+};
+
+function serveStatic(request, response) {
+    const route = STATIC_FILES[new URL(request.url, 'http://localhost').pathname];
+    if (!route || request.method !== 'GET') {
+        response.writeHead(404, { 'Content-Type': 'text/plain' });
+        response.end('Not found');
+        return;
+    }
+    
+    fs.readFile(path.join(__dirname, route.file), (error, data) => {
+        if (error) {
+            response.writeHead(500, { 'Content-Type': 'text/plain' });
+            response.end('Could not read ' + route.file);
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': route.type });
+        response.end(data);
+    });
+}
+
+// ============================================================================
+// WEBSOCKET CONNECTIONS
+// ============================================================================
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xA
+};
+
+/**
+ * Encode an unmasked server frame
+ */
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode the first complete frame in a buffer
+ * @returns {{fin: boolean, opcode: number, masked: boolean, payload: Buffer, length: number}|null}
+ *     The frame and the bytes it used, or null if more data is needed
+ */
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+    
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let payloadLength = buffer[1] & 0x7F;
+    let offset = 2;
+    
+    if (payloadLength === 126) {
+        if (buffer.length < 4) return null;
+        payloadLength = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (payloadLength === 127) {
+        if (buffer.length < 10) return null;
+        const longLength = buffer.readBigUInt64BE(2);
+        if (longLength > BigInt(MAX_MESSAGE_BYTES)) {
+            throw new Error('Message too large');
+        }
+        payloadLength = Number(longLength);
+        offset = 10;
+    }
+    if (payloadLength > MAX_MESSAGE_BYTES) {
+        throw new Error('Message too large');
+    }
+    
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < offset + maskLength + payloadLength) return null;
+    
+    const payload = Buffer.from(buffer.subarray(offset + maskLength, offset + maskLength + payloadLength));
+    if (masked) {
+        const mask = buffer.subarray(offset, offset + 4);
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+    }
+    
+    return { fin, opcode, masked, payload, length: offset + maskLength + payloadLength };
+}
+
+/**
+ * Complete the WebSocket handshake on an upgraded socket and wrap it in a
+ * connection that sends and receives JSON messages
+ * @returns {Object|null} The connection, or null if the handshake was refused
+ */
+function acceptConnection(request, socket, handlers) {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || String(request.headers.upgrade).toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+    
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+    
+    let buffered = Buffer.alloc(0);
+    let fragments = [];
+    let fragmentBytes = 0;
+    let closed = false;
+    
+    const connection = {
+        send(message) {
+            if (!closed) {
+                socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message))));
+            }
+        },
+        close() {
+            if (closed) return;
+            closed = true;
+            socket.end(encodeFrame(OPCODES.close));
+            handlers.onClose(connection);
+        }
+    };
+    
+    function handleFrame(frame) {
+        // Clients must mask every frame they send
+        if (!frame.masked) {
+            throw new Error('Unmasked client frame');
+        }
+        
+        switch (frame.opcode) {
+            case OPCODES.ping:
+                socket.write(encodeFrame(OPCODES.pong, frame.payload));
+                return;
+            case OPCODES.pong:
+                return;
+            case OPCODES.close:
+                connection.close();
+                return;
+            case OPCODES.text:
+                if (fragments.length > 0) {
+                    throw new Error('New message before the last one finished');
+                }
+                break;
+            case OPCODES.continuation:
+                if (fragments.length === 0) {
+                    throw new Error('Continuation without a message');
+                }
+                break;
+            default:
+                // Binary messages aren't part of the protocol
+                fragments = [];
+                fragmentBytes = 0;
+                return;
+        }
+        
+        fragmentBytes += frame.payload.length;
+        if (fragmentBytes > MAX_MESSAGE_BYTES) {
+            throw new Error('Message too large');
+        }
+        fragments.push(frame.payload);
+        if (!frame.fin) return;
+        
+        const text = Buffer.concat(fragments).toString('utf8');
+        fragments = [];
+        fragmentBytes = 0;
+        
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            connection.send({ type: 'error', code: 'bad-message', message: 'Messages must be JSON.' });
+            return;
+        }
+        if (message && typeof message === 'object') {
+            handlers.onMessage(connection, message);
+        }
+    }
+    
+    socket.on('data', chunk => {
+        buffered = Buffer.concat([buffered, chunk]);
+        try {
+            let frame;
+            while (!closed && (frame = decodeFrame(buffered))) {
+                buffered = buffered.subarray(frame.length);
+                handleFrame(frame);
+            }
+        } catch (error) {
+            connection.close();
+        }
+    });
+    socket.on('close', () => {
+        if (!closed) {
+            closed = true;
+            handlers.onClose(connection);
+        }
+    });
+    socket.on('error', () => socket.destroy());
+    
+    return connection;
+}
+
+// ============================================================================
+// RACE ROOMS
+// ============================================================================
+
+const rooms = new Map();
+let nextPlayerId = 1;
+
+function createRoomCode() {
+    let code;
+    do {
+        code = Array.from({ length: 4 }, () =>
+            ROOM_CODE_LETTERS[crypto.randomInt(ROOM_CODE_LETTERS.length)]).join('');
+    } while (rooms.has(code));
+    return code;
+}
+
+function cleanName(name) {
+    const trimmed = String(name || '').trim().slice(0, MAX_NAME_LENGTH);
+    return trimmed || 'Racer';
+}
+
+function broadcast(room, message) {
+    room.players.forEach(player => player.connection.send(message));
+}
+
+/**
+ * Send everyone the room state and each player's progress
+ */
+function broadcastPlayers(room) {
+    broadcast(room, {
+        type: 'players',
+        state: room.state,
+        hostId: room.hostId,
+        textLength: room.text.length,
+        players: room.players.map(player => ({
+            id: player.id,
+            name: player.name,
+            position: player.position,
+            wpm: player.wpm,
+            racing: player.racing,
+            finished: player.finishTime !== null
+        }))
+    });
+}
+
+/**
+ * Rank finished players by time, then the rest by how far they got
+ */
+function buildLeaderboard(room) {
+    const ranked = room.players.filter(player => player.racing).sort((a, b) => {
+        if (a.finishTime !== null && b.finishTime !== null) return a.finishTime - b.finishTime;
+        if (a.finishTime !== null) return -1;
+        if (b.finishTime !== null) return 1;
+        return b.position - a.position;
+    });
+    
+    return ranked.map((player, index) => ({
+        place: player.finishTime !== null ? index + 1 : null,
+        name: player.name,
+        wpm: player.wpm,
+        accuracy: player.accuracy,
+        timeMs: player.finishTime,
+        progress: room.text.length > 0 ? Math.round((player.position / room.text.length) * 100) : 0
+    }));
+}
+
+function endRace(room) {
+    if (room.state !== 'racing' && room.state !== 'countdown') return;
+    
+    clearTimeout(room.timeout);
+    room.state = 'lobby';
+    broadcast(room, { type: 'results', leaderboard: buildLeaderboard(room) });
+    broadcastPlayers(room);
+}
+
+function endRaceIfDone(room) {
+    const racers = room.players.filter(player => player.racing);
+    if (room.state === 'racing' && racers.every(player => player.finishTime !== null)) {
+        endRace(room);
+    }
+}
+
+function handleJoin(connection, message) {
+    if (connection.player) {
+        connection.send({ type: 'error', code: 'already-joined', message: 'Already in a room.' });
+        return;
+    }
+    
+    const code = String(message.room || '').trim().toUpperCase();
+    if (code && !ROOM_CODE_PATTERN.test(code)) {
+        connection.send({ type: 'error', code: 'bad-room', message: 'Room codes are 4 to 8 letters or digits.' });
+        return;
+    }
+    
+    let room;
+    if (code) {
+        room = rooms.get(code);
+        if (!room) {
+            connection.send({ type: 'error', code: 'no-room', message: 'There is no room with that code.' });
+            return;
+        }
+    } else {
+        room = { code: createRoomCode(), players: [], hostId: null, state: 'lobby', text: '', startAt: 0, timeout: null };
+        rooms.set(room.code, room);
+    }
+    if (room.players.length >= MAX_PLAYERS) {
+        connection.send({ type: 'error', code: 'room-full', message: 'This room is full.' });
+        return;
+    }
+    
+    const player = {
+        id: nextPlayerId++,
+        name: cleanName(message.name),
+        connection,
+        room,
+        position: 0,
+        wpm: 0,
+        accuracy: 0,
+        finishTime: null,
+        // Players who join mid-race watch until the next one
+        racing: false
+    };
+    connection.player = player;
+    room.players.push(player);
+    if (room.hostId === null) room.hostId = player.id;
+    
+    connection.send({ type: 'joined', room: room.code, playerId: player.id });
+    broadcastPlayers(room);
+}
+
+function handleStart(player, message) {
+    const room = player.room;
+    if (room.hostId !== player.id) {
+        player.connection.send({ type: 'error', code: 'not-host', message: 'Only the host can start the race.' });
+        return;
+    }
+    if (room.state !== 'lobby') {
+        player.connection.send({ type: 'error', code: 'race-running', message: 'A race is already running.' });
+        return;
+    }
+    
+    const text = String(message.text || '').slice(0, MAX_TEXT_LENGTH);
+    if (text.trim() === '') {
+        player.connection.send({ type: 'error', code: 'no-text', message: 'Pick a lesson to race on first.' });
+        return;
+    }
+    
+    room.text = text;
+    room.state = 'countdown';
+    room.startAt = Date.now() + COUNTDOWN_MS;
+    room.players.forEach(racer => {
+        racer.position = 0;
+        racer.wpm = 0;
+        racer.accuracy = 0;
+        racer.finishTime = null;
+        racer.racing = true;
+    });
+    
+    broadcast(room, {
+        type: 'countdown',
+        text,
+        title: String(message.title || '').slice(0, 100),
+        startAt: room.startAt,
+        serverTime: Date.now()
+    });
+    broadcastPlayers(room);
+    
+    room.timeout = setTimeout(() => {
+        room.state = 'racing';
+        broadcastPlayers(room);
+        // Everyone may have withdrawn during the countdown
+        endRaceIfDone(room);
+        if (room.state !== 'racing') return;
+        room.timeout = setTimeout(() => endRace(room), RACE_TIMEOUT_MS);
+    }, COUNTDOWN_MS);
+}
+
+function handleProgress(player, message) {
+    const room = player.room;
+    if (room.state !== 'racing' || !player.racing || player.finishTime !== null) return;
+    
+    const position = Math.floor(Number(message.position));
+    if (!Number.isFinite(position)) return;
+    player.position = Math.max(0, Math.min(room.text.length, position));
+    player.wpm = Math.max(0, Math.round(Number(message.wpm) || 0));
+    broadcastPlayers(room);
+}
+
+function handleFinish(player, message) {
+    const room = player.room;
+    if (room.state !== 'racing' || !player.racing || player.finishTime !== null) return;
+    
+    player.position = room.text.length;
+    player.finishTime = Date.now() - room.startAt;
+    player.wpm = Math.max(0, Math.round(Number(message.wpm) || 0));
+    player.accuracy = Math.max(0, Math.min(100, Math.round(Number(message.accuracy) || 0)));
+    broadcastPlayers(room);
+    endRaceIfDone(room);
+}
+
+/**
+ * Stop waiting for a player who moved on to something else. Players who
+ * already finished keep their place on the leaderboard.
+ */
+function handleWithdraw(player) {
+    const room = player.room;
+    if (room.state === 'lobby' || !player.racing || player.finishTime !== null) return;
+    
+    player.racing = false;
+    broadcastPlayers(room);
+    endRaceIfDone(room);
+}
+
+function handleLeave(connection) {
+    const player = connection.player;
+    if (!player) return;
+    
+    const room = player.room;
+    room.players = room.players.filter(other => other !== player);
+    
+    if (room.players.length === 0) {
+        clearTimeout(room.timeout);
+        rooms.delete(room.code);
+        return;
+    }
+    
+    // The longest-waiting player takes over as host
+    if (room.hostId === player.id) {
+        room.hostId = room.players[0].id;
+    }
+    broadcastPlayers(room);
+    endRaceIfDone(room);
+}
+
+const handlers = {
+    onMessage(connection, message) {
+        if (message.type === 'join') {
+            handleJoin(connection, message);
+            return;
+        }
+        
+        const player = connection.player;
+        if (!player) {
+            connection.send({ type: 'error', code: 'not-joined', message: 'Join a room first.' });
+            return;
+        }
+        
+        switch (message.type) {
+            case 'start':
+                handleStart(player, message);
+                break;
+            case 'progress':
+                handleProgress(player, message);
+                break;
+            case 'finish':
+                handleFinish(player, message);
+                break;
+            case 'withdraw':
+                handleWithdraw(player);
+                break;
+            default:
+                connection.send({ type: 'error', code: 'bad-message', message: `Unknown message type: ${message.type}` });
+        }
+    },
+    onClose: handleLeave
+};
+
+// ============================================================================
+// SERVER STARTUP
+// ============================================================================
+
+/**
+ * List this machine's LAN addresses so players know where to connect
+ */
+function getLanAddresses() {
+    return Object.values(os.networkInterfaces())
+        .flat()
+        .filter(address => address && address.family === 'IPv4' && !address.internal)
+        .map(address => address.address);
+}
+
+const port = Number(process.argv[2] || process.env.PORT) || DEFAULT_PORT;
+const server = http.createServer(serveStatic);
+
+server.on('upgrade', (request, socket) => {
+    acceptConnection(request, socket, handlers);
+});
+
+server.listen(port, () => {
+    console.log(`Sharp Typing Tutor race server listening on port ${port}`);
+    ['localhost', ...getLanAddresses()].forEach(host => {
+        console.log(`  Open http://${host}:${port}/ to join a race`);
+    });
+});
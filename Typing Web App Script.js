@@ -2,7 +2,7 @@
  * Sharp Typing Tutor - Complete JavaScript Implementation
  * 
  * This typing tutor implements several key typing science principles:
- * 1. Spaced Repetition: Keys with higher error rates appear more frequently
+ * 1. Spaced Repetition: Weak keys and bigrams are scheduled for review (SM-2)
  * 2. Adaptive Difficulty: Text complexity adjusts to maintain 80-90% accuracy
  * 3. Muscle Memory Training: Progressive curriculum builds from home row outward
  * 4. Real-time Feedback: Immediate visual and performance feedback
@@ -25,6 +25,10 @@ const TypingMetrics = (function() {
     let lastKeystrokeTime = null;
     let currentWPM = 0;
     let currentAccuracy = 100;
+    let keystrokeLog = [];
+    let errorPositions = new Set();
+    let correctedErrors = 0;
+    let confusions = {};
     
     /**
      * Calculate Words Per Minute using the standard formula
@@ -47,16 +51,98 @@ const TypingMetrics = (function() {
         return Math.round((correct / total) * 100);
     }
     
+    /**
+     * Calculate net WPM, which penalizes errors left in the text
+     * Net WPM = Gross WPM - (Uncorrected Errors / Time in Minutes)
+     */
+    function calculateNetWPM(totalCharacters, uncorrectedErrors, timeInSeconds) {
+        if (timeInSeconds === 0) return 0;
+        const minutes = timeInSeconds / 60;
+        const netWords = totalCharacters / 5 - uncorrectedErrors;
+        return Math.max(0, Math.round(netWords / minutes));
+    }
+    
+    /**
+     * Calculate a consistency score from the variation of inter-key intervals
+     * Consistency = (1 - Standard Deviation / Mean) * 100, clamped to 0-100
+     * A perfectly even rhythm scores 100.
+     */
+    function calculateConsistency(intervals) {
+        if (intervals.length < 2) return 100;
+        const mean = intervals.reduce((a, b) => a + b, 0) / intervals.length;
+        if (mean === 0) return 100;
+        const variance = intervals.reduce((sum, interval) => sum + Math.pow(interval - mean, 2), 0) / intervals.length;
+        const coefficientOfVariation = Math.sqrt(variance) / mean;
+        return Math.max(0, Math.min(100, Math.round((1 - coefficientOfVariation) * 100)));
+    }
+    
+    const SYMBOL_CATEGORIES = {
+        brackets: '()[]{}',
+        quotes: '\'"`',
+        operators: '+-*/%=!<>&|^~?:'
+    };
+    
+    /**
+     * Calculate accuracy for brackets, quotes and operators from a keystroke log,
+     * per category and per symbol
+     */
+    function calculateSymbolAccuracy(log) {
+        const result = { bySymbol: {} };
+        Object.keys(SYMBOL_CATEGORIES).forEach(category => {
+            result[category] = { attempts: 0, errors: 0, accuracy: 100 };
+        });
+        
+        log.forEach(event => {
+            if (event.type !== 'char') return;
+            
+            const category = Object.keys(SYMBOL_CATEGORIES)
+                .find(name => SYMBOL_CATEGORIES[name].includes(event.target));
+            if (!category) return;
+            
+            const symbol = result.bySymbol[event.target] || { attempts: 0, errors: 0, accuracy: 100 };
+            [result[category], symbol].forEach(tally => {
+                tally.attempts++;
+                if (!event.correct) tally.errors++;
+                tally.accuracy = calculateAccuracy(tally.attempts - tally.errors, tally.attempts);
+            });
+            result.bySymbol[event.target] = symbol;
+        });
+        
+        return result;
+    }
+    
+    /**
+     * Calculate speed metrics over an elapsed time
+     */
+    function calculateSpeedMetrics(timeInSeconds) {
+        return {
+            rawWPM: calculateWPM(totalKeystrokes, timeInSeconds),
+            netWPM: calculateNetWPM(totalKeystrokes, errorPositions.size, timeInSeconds),
+            keystrokesPerSecond: timeInSeconds > 0 ?
+                Math.round((totalKeystrokes / timeInSeconds) * 10) / 10 : 0
+        };
+    }
+    
     /**
      * Record a keystroke and update metrics
      */
-    function recordKeystroke(key, isCorrect, targetChar) {
+    function recordKeystroke(key, isCorrect, targetChar, position) {
         const now = Date.now();
         
         if (!startTime) {
             startTime = now;
         }
         
+        // Keep a timestamped event so the session can be replayed later
+        keystrokeLog.push({
+            type: 'char',
+            time: now - startTime,
+            typed: key,
+            target: targetChar,
+            position,
+            correct: isCorrect
+        });
+        
         // Record reaction time (time between keystrokes)
         if (lastKeystrokeTime) {
             reactionTimes.push(now - lastKeystrokeTime);
@@ -66,12 +152,25 @@ const TypingMetrics = (function() {
         totalKeystrokes++;
         if (isCorrect) {
             correctKeystrokes++;
+            
+            // Retyping an errored position without backspace (stop-on-error) also corrects it
+            if (errorPositions.delete(position)) {
+                correctedErrors++;
+            }
         } else {
+            errorPositions.add(position);
+            
             // Track errors by key for spaced repetition
             if (!errorsByKey[targetChar]) {
                 errorsByKey[targetChar] = 0;
             }
             errorsByKey[targetChar]++;
+            
+            // Track what was typed instead for the confusion matrix
+            if (!confusions[targetChar]) {
+                confusions[targetChar] = {};
+            }
+            confusions[targetChar][key] = (confusions[targetChar][key] || 0) + 1;
         }
         
         // Update real-time metrics
@@ -80,16 +179,48 @@ const TypingMetrics = (function() {
         currentAccuracy = calculateAccuracy(correctKeystrokes, totalKeystrokes);
     }
     
+    /**
+     * Record a backspace that removed the character at the given position.
+     * Backspaces are logged for replay but do not count as keystrokes.
+     */
+    function recordBackspace(position) {
+        if (!startTime) return;
+        
+        // An error erased with backspace counts as corrected
+        if (errorPositions.delete(position)) {
+            correctedErrors++;
+        }
+        
+        keystrokeLog.push({
+            type: 'backspace',
+            time: Date.now() - startTime,
+            position
+        });
+    }
+    
+    /**
+     * Get a copy of the keystroke log for the current session
+     */
+    function getKeystrokeLog() {
+        return keystrokeLog.map(event => ({ ...event }));
+    }
+    
     /**
      * Get current metrics
      */
     function getCurrentMetrics() {
+        const elapsedSeconds = startTime ? (lastKeystrokeTime - startTime) / 1000 : 0;
         return {
             wpm: currentWPM,
             accuracy: currentAccuracy,
+            ...calculateSpeedMetrics(elapsedSeconds),
             totalKeystrokes,
             correctKeystrokes,
+            correctedErrors,
+            uncorrectedErrors: errorPositions.size,
+            consistency: calculateConsistency(reactionTimes),
             errorsByKey: { ...errorsByKey },
+            confusions: Object.fromEntries(Object.keys(confusions).map(target => [target, { ...confusions[target] }])),
             averageReactionTime: reactionTimes.length > 0 ? 
                 reactionTimes.reduce((a, b) => a + b, 0) / reactionTimes.length : 0
         };
@@ -106,7 +237,10 @@ const TypingMetrics = (function() {
             totalTimeMs: totalTime,
             totalTimeSeconds: Math.round(totalTime / 1000),
             finalWPM: calculateWPM(correctKeystrokes, totalTime / 1000),
-            finalAccuracy: calculateAccuracy(correctKeystrokes, totalKeystrokes)
+            finalAccuracy: calculateAccuracy(correctKeystrokes, totalKeystrokes),
+            ...calculateSpeedMetrics(totalTime / 1000),
+            symbolAccuracy: calculateSymbolAccuracy(keystrokeLog),
+            keystrokeLog: getKeystrokeLog()
         };
         return finalMetrics;
     }
@@ -124,10 +258,16 @@ const TypingMetrics = (function() {
         lastKeystrokeTime = null;
         currentWPM = 0;
         currentAccuracy = 100;
+        keystrokeLog = [];
+        errorPositions = new Set();
+        correctedErrors = 0;
+        confusions = {};
     }
     
     return {
         recordKeystroke,
+        recordBackspace,
+        getKeystrokeLog,
         getCurrentMetrics,
         finishSession,
         reset
@@ -135,393 +275,3285 @@ const TypingMetrics = (function() {
 })();
 
 // ============================================================================
-// ADAPTIVE DIFFICULTY ENGINE
+// TYPING ANALYTICS
 // ============================================================================
 
-const AdaptiveEngine = (function() {
+const TypingAnalytics = (function() {
     'use strict';
     
-    const TARGET_ACCURACY_MIN = 80;
-    const TARGET_ACCURACY_MAX = 90;
+    // Pauses longer than this are breaks, not the time it takes to reach a key
+    const MAX_LATENCY_MS = 2000;
     
-    /**
-     * Adjust text difficulty based on current performance
-     * This implements adaptive difficulty to maintain optimal challenge level
-     */
-    function adjustDifficulty(currentAccuracy, currentLevel) {
-        let newLevel = currentLevel;
-        
-        if (currentAccuracy > TARGET_ACCURACY_MAX) {
-            // Too easy - increase difficulty
-            if (currentLevel === 'beginner') newLevel = 'intermediate';
-            else if (currentLevel === 'intermediate') newLevel = 'advanced';
-            else if (currentLevel === 'advanced') newLevel = 'master';
-        } else if (currentAccuracy < TARGET_ACCURACY_MIN) {
-            // Too hard - decrease difficulty
-            if (currentLevel === 'master') newLevel = 'advanced';
-            else if (currentLevel === 'advanced') newLevel = 'intermediate';
-            else if (currentLevel === 'intermediate') newLevel = 'beginner';
+    // Keys, n-grams and fingers need this many samples before they are reported
+    const MIN_SAMPLES = 3;
+    
+    // How far from typical something must be before it is called out
+    const OUTLIER_RATIO = 1.5;
+    
+    // Rows in each report table, and n-grams kept in the saved totals
+    const REPORT_ROWS = 5;
+    const MAX_SAVED_NGRAMS = 300;
+    
+    const TABLES = ['keys', 'bigrams', 'trigrams', 'fingers'];
+    
+    // Keys whose centers are at most this many key widths apart are neighbors
+    const ADJACENT_DISTANCE = 1;
+    
+    // Mix-ups listed in a confusion report, most frequent first
+    const CONFUSION_ROWS = 8;
+    const CONFUSION_TYPES = ['case', 'adjacent', 'same-finger', 'other'];
+    
+    function createStats() {
+        return { keys: {}, bigrams: {}, trigrams: {}, fingers: {} };
+    }
+    
+    function tally(table, id, latency, correct) {
+        const entry = table[id] || { count: 0, errors: 0, latencyTotal: 0, latencyCount: 0 };
+        entry.count++;
+        if (!correct) entry.errors++;
+        if (latency !== null) {
+            entry.latencyTotal += latency;
+            entry.latencyCount++;
         }
-        
-        return newLevel;
+        table[id] = entry;
+    }
+    
+    function isWordChar(char) {
+        return !/\s/.test(char);
     }
     
     /**
-     * Generate spaced repetition text focusing on problematic keys
-     * This implements the spaced repetition algorithm for muscle memory training
+     * Attribute latency and errors in a keystroke log to each key, bigram,
+     * trigram and finger. Latency is the time since the previous keystroke
+     * and only counts when it types the character right after the previous
+     * one, so corrections and retries don't skew transitions.
+     * @param {Array} log - Keystroke log from TypingMetrics
+     * @param {Function} fingerOf - Finger id for a character, or null
+     * @returns {Object} Tallies of count, errors and latency per item
      */
-    function generateSpacedRepetitionText(errorsByKey, length = 100) {
-        const problematicKeys = Object.keys(errorsByKey)
-            .sort((a, b) => errorsByKey[b] - errorsByKey[a])
-            .slice(0, 5); // Focus on top 5 problematic keys
-        
-        if (problematicKeys.length === 0) {
-            return generateRandomText(length);
-        }
-        
-        let text = '';
-        const words = [];
+    function analyzeSession(log, fingerOf) {
+        const stats = createStats();
+        let run = [];
+        let lastTime = null;
         
-        // Create words that emphasize problematic keys
-        for (let i = 0; i < length / 10; i++) {
-            let word = '';
-            for (let j = 0; j < Math.random() * 6 + 3; j++) {
-                if (Math.random() < 0.7 && problematicKeys.length > 0) {
-                    // 70% chance to use a problematic key
-                    word += problematicKeys[Math.floor(Math.random() * problematicKeys.length)];
-                } else {
-                    // 30% chance to use a random letter
-                    word += String.fromCharCode(97 + Math.floor(Math.random() * 26));
-                }
+        log.forEach(event => {
+            if (event.type !== 'char') {
+                run = [];
+                lastTime = event.time;
+                return;
             }
-            words.push(word);
-        }
+            
+            const previous = run[run.length - 1];
+            const follows = previous !== undefined && previous.position === event.position - 1;
+            const gap = lastTime === null ? null : event.time - lastTime;
+            const latency = follows && gap <= MAX_LATENCY_MS ? gap : null;
+            lastTime = event.time;
+            
+            run = follows ? run.concat(event).slice(-3) : [event];
+            
+            tally(stats.keys, event.target, latency, event.correct);
+            
+            const finger = fingerOf(event.target);
+            if (finger) {
+                tally(stats.fingers, finger, latency, event.correct);
+            }
+            
+            const targets = run.map(item => item.target);
+            if (targets.length >= 2 && targets.slice(-2).every(isWordChar)) {
+                tally(stats.bigrams, targets.slice(-2).join(''), latency, event.correct);
+            }
+            if (targets.length === 3 && targets.every(isWordChar)) {
+                tally(stats.trigrams, targets.join(''), latency, event.correct);
+            }
+        });
         
-        return words.join(' ').substring(0, length);
+        return stats;
     }
     
     /**
-     * Generate random text for practice
+     * Add a session's tallies to the running totals. Only the most practiced
+     * n-grams are kept so saved progress stays small.
      */
-    function generateRandomText(length) {
-        const commonWords = [
-            'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'can', 'had',
-            'her', 'was', 'one', 'our', 'out', 'day', 'get', 'has', 'him', 'his',
-            'how', 'man', 'new', 'now', 'old', 'see', 'two', 'way', 'who', 'boy',
-            'did', 'its', 'let', 'put', 'say', 'she', 'too', 'use'
-        ];
+    function mergeStats(total, session) {
+        const merged = createStats();
+        TABLES.forEach(name => {
+            [total && total[name], session[name]].forEach(table => {
+                Object.keys(table || {}).forEach(id => {
+                    const entry = merged[name][id] || { count: 0, errors: 0, latencyTotal: 0, latencyCount: 0 };
+                    ['count', 'errors', 'latencyTotal', 'latencyCount'].forEach(field => {
+                        entry[field] += table[id][field];
+                    });
+                    merged[name][id] = entry;
+                });
+            });
+        });
         
-        let text = '';
-        while (text.length < length) {
-            const word = commonWords[Math.floor(Math.random() * commonWords.length)];
-            text += word + ' ';
-        }
+        ['bigrams', 'trigrams'].forEach(name => {
+            const kept = Object.keys(merged[name])
+                .sort((a, b) => merged[name][b].count - merged[name][a].count)
+                .slice(0, MAX_SAVED_NGRAMS);
+            merged[name] = Object.fromEntries(kept.map(id => [id, merged[name][id]]));
+        });
         
-        return text.trim().substring(0, length);
+        return merged;
     }
     
-    return {
-        adjustDifficulty,
-        generateSpacedRepetitionText,
-        generateRandomText
-    };
-})();
-
-// ============================================================================
-// CURRICULUM DATA
-// ============================================================================
-
-const CurriculumData = {
-    beginner: [
-        {
-            id: 'home-row-1',
-            title: 'Home Row Basics',
-            description: 'Learn the foundation: ASDF JKL;',
-            text: 'asdf jkl; asdf jkl; sad lad ask flask dad fad lass fall sass'
-        },
-        {
-            id: 'home-row-2', 
-            title: 'Home Row Words',
-            description: 'Simple words using home row keys',
-            text: 'ask dad sad lad fall lass flask salad falls asks dads lads'
-        },
-        {
-            id: 'top-row-1',
-            title: 'Top Row Introduction', 
-            description: 'Add QWER TYUI OP to your skills',
-            text: 'qwer tyui op quit port type write query power tower report'
-        },
-        {
-            id: 'top-row-2',
-            title: 'Top Row Practice',
-            description: 'Combine home and top rows',
-            text: 'quest report tower power write query type port quit poetry'
-        },
-        {
-            id: 'bottom-row-1',
-            title: 'Bottom Row Basics',
-            description: 'Master ZXCV BNM',
-            text: 'zxcv bnm zoom cave move barn calm zone vibe next mix'
-        }
-    ],
-    intermediate: [
-        {
-            id: 'numbers-1',
-            title: 'Number Row',
-            description: 'Learn to type numbers 1234567890',
-            text: '1234567890 phone 555-0123 year 2024 price $19.99 code 4567'
-        },
-        {
-            id: 'punctuation-1',
-            title: 'Basic Punctuation',
-            description: 'Master common punctuation marks',
-            text: 'Hello, world! How are you? I am fine. Let us go; it is time.'
-        },
-        {
-            id: 'capitals-1',
-            title: 'Capital Letters',
-            description: 'Practice proper capitalization',
-            text: 'John Smith lives in New York. He works at Apple Inc. on Monday.'
-        },
-        {
-            id: 'mixed-practice-1',
-            title: 'Mixed Practice',
-            description: 'Combine letters, numbers, and punctuation',
-            text: 'The meeting is at 3:30 PM on March 15th, 2024. Call (555) 123-4567.'
-        },
-        {
-            id: 'common-words',
-            title: 'Common Words',
-            description: 'Practice frequently used English words',
-            text: 'about after again against all almost alone along already also although always among'
-        }
-    ],
-    advanced: [
-        {
-            id: 'symbols-1',
-            title: 'Special Symbols',
-            description: 'Master special characters and symbols',
-            text: 'Email: user@domain.com Password: P@ssw0rd! Cost: $29.99 (tax included)'
-        },
-        {
-            id: 'programming-1',
-            title: 'Programming Syntax',
-            description: 'Practice common programming patterns',
-            text: 'function calculateTotal(price, tax) { return price * (1 + tax); }'
-        },
-        {
-            id: 'business-text',
-            title: 'Business Writing',
-            description: 'Professional communication practice',
-            text: 'Dear Mr. Johnson, Thank you for your inquiry regarding our services. We would be pleased to schedule a consultation at your convenience.'
-        },
-        {
-            id: 'technical-text',
-            title: 'Technical Documentation',
-            description: 'Practice technical writing patterns',
-            text: 'The API endpoint accepts HTTP POST requests with JSON payload containing user credentials and returns authentication tokens with 24-hour expiration.'
-        },
-        {
-            id: 'speed-drill',
-            title: 'Speed Building',
-            description: 'Focus on increasing typing speed',
-            text: 'the quick brown fox jumps over the lazy dog pack my box with five dozen liquor jugs'
-        }
-    ],
-    master: [
-        {
-            id: 'literature-1',
-            title: 'Classic Literature',
-            description: 'Type excerpts from famous works',
-            text: 'It was the best of times, it was the worst of times, it was the age of wisdom, it was the age of foolishness, it was the epoch of belief, it was the epoch of incredulity.'
-        },
-        {
-            id: 'scientific-text',
-            title: 'Scientific Writing',
-            description: 'Practice complex scientific terminology',
-            text: 'The mitochondria, often referred to as the powerhouse of the cell, are responsible for producing adenosine triphosphate (ATP) through cellular respiration.'
-        },
-        {
-            id: 'legal-text',
-            title: 'Legal Documents',
-            description: 'Master formal legal language',
-            text: 'Whereas the parties hereto desire to enter into this agreement, and whereas each party has the requisite corporate power and authority to enter into this agreement.'
-        },
-        {
-            id: 'code-complex',
-            title: 'Complex Programming',
-            description: 'Advanced programming constructs',
-            text: 'const asyncFunction = async (data) => { try { const result = await fetch("/api/data", { method: "POST", body: JSON.stringify(data) }); return result.json(); } catch (error) { console.error(error); } };'
-        },
-        {
-            id: 'speed-master',
-            title: 'Master Speed Test',
-            description: 'Ultimate speed and accuracy challenge',
-            text: 'Mastery requires dedication, practice, and persistence. Every keystroke builds muscle memory. Every error teaches precision. Speed without accuracy is meaningless. Accuracy without speed is incomplete. True mastery balances both.'
-        }
-    ]
-};
-
-// ============================================================================
-// FEEDBACK SYSTEM
-// ============================================================================
-
-const FeedbackSystem = (function() {
-    'use strict';
+    function median(values) {
+        if (values.length === 0) return 0;
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
     
-    let sessionCount = 0;
-    let stagnantSessions = 0;
-    let lastWPM = 0;
-    let earnedBadges = new Set();
-    
-    const badges = {
-        'first-lesson': { name: '🎯 First Steps', description: 'Completed your first lesson' },
-        'wpm-20': { name: '🚀 20 WPM Club', description: 'Achieved 20 WPM' },
-        'wpm-40': { name: '⚡ 40 WPM Club', description: 'Achieved 40 WPM' },
-        'wpm-60': { name: '🔥 60 WPM Club', description: 'Achieved 60 WPM' },
-        'wpm-80': { name: '💨 80 WPM Club', description: 'Achieved 80 WPM' },
-        'accuracy-90': { name: '🎯 Sharp Shooter', description: '90% accuracy achieved' },
-        'accuracy-95': { name: '🏆 Precision Master', description: '95% accuracy achieved' },
-        'perfectionist': { name: '💎 Perfectionist', description: '100% accuracy on a lesson' },
-        'persistent': { name: '💪 Persistent', description: 'Completed 10 lessons' },
-        'dedicated': { name: '🌟 Dedicated', description: 'Completed 25 lessons' },
-        'master': { name: '👑 Typing Master', description: 'Reached Master level' }
-    };
+    function ratio(value, typical) {
+        return typical > 0 ? Math.round((value / typical) * 10) / 10 : 0;
+    }
     
     /**
-     * Nigerian Pidgin + English caustic remarks for motivation
-     * These are delivered after 3 stagnant sessions to encourage improvement
-     */
-    const causticRemarks = [
-        "Omo, you dey slow like snail—try small jare!",
-        "Accuracy don fall o—no dull yourself abeg!",
-        "No be slack, make those keystrokes sharp sharp!",
-        "Your fingers dey sleep? Wake them up make we see fire!",
-        "This typing speed no good at all—you fit do better!",
-        "Wetin happen to your accuracy? Focus small na!",
-        "You dey type like say na first time—sharpen up!",
-        "Speed don reduce o—where the energy wey you get before?",
-        "Make you no give up now—practice makes perfect!",
-        "Your typing game weak—time to level up seriously!"
-    ];
-    
-    const encouragingRemarks = [
-        "Sharp! Well done—you're improving steadily!",
-        "Excellent progress! Your fingers are getting sharper!",
-        "Outstanding accuracy! Keep up the fantastic work!",
-        "Impressive speed improvement! You're on fire!",
-        "Perfect! Your muscle memory is developing beautifully!",
-        "Brilliant typing! You're becoming a true master!",
-        "Superb performance! Your dedication is paying off!",
-        "Magnificent! Your typing skills are truly sharp!",
-        "Exceptional work! You're reaching new heights!",
-        "Phenomenal! You've mastered this level completely!"
-    ];
+     * Turn a table of tallies into rows with average latency and error rate
+     */
+    function summarize(table, medianLatency, averageErrorRate) {
+        return Object.keys(table)
+            .filter(id => table[id].count >= MIN_SAMPLES)
+            .map(id => {
+                const entry = table[id];
+                const latency = entry.latencyCount > 0 ? Math.round(entry.latencyTotal / entry.latencyCount) : null;
+                const errorRate = entry.errors / entry.count;
+                return {
+                    id,
+                    count: entry.count,
+                    errors: entry.errors,
+                    errorRate: Math.round(errorRate * 100),
+                    latency,
+                    latencyRatio: latency === null ? 0 : ratio(latency, medianLatency),
+                    errorRatio: ratio(errorRate, averageErrorRate)
+                };
+            });
+    }
     
     /**
-     * Check for new badges based on performance
+     * Build a report from tallies: the slowest keys and transitions compared
+     * with the median key latency, fingers compared with the average error
+     * rate, and the few findings worth pointing out.
      */
-    function checkForBadges(metrics, level) {
-        const newBadges = [];
-        
-        // Session-based badges
-        if (sessionCount === 1 && !earnedBadges.has('first-lesson')) {
-            newBadges.push('first-lesson');
-            earnedBadges.add('first-lesson');
-        }
-        
-        if (sessionCount === 10 && !earnedBadges.has('persistent')) {
-            newBadges.push('persistent');
-            earnedBadges.add('persistent');
-        }
+    function getReport(stats = createStats()) {
+        const keyLatencies = Object.values(stats.keys)
+            .filter(entry => entry.latencyCount >= MIN_SAMPLES)
+            .map(entry => entry.latencyTotal / entry.latencyCount);
+        const medianLatency = Math.round(median(keyLatencies));
         
-        if (sessionCount === 25 && !earnedBadges.has('dedicated')) {
-            newBadges.push('dedicated');
-            earnedBadges.add('dedicated');
-        }
-        
-        // WPM badges
-        const wpmBadges = [
-            { threshold: 20, id: 'wpm-20' },
-            { threshold: 40, id: 'wpm-40' },
-            { threshold: 60, id: 'wpm-60' },
-            { threshold: 80, id: 'wpm-80' }
-        ];
+        const totals = Object.values(stats.keys).reduce((sum, entry) => ({
+            count: sum.count + entry.count,
+            errors: sum.errors + entry.errors
+        }), { count: 0, errors: 0 });
+        const averageErrorRate = totals.count > 0 ? totals.errors / totals.count : 0;
         
-        wpmBadges.forEach(badge => {
-            if (metrics.wpm >= badge.threshold && !earnedBadges.has(badge.id)) {
-                newBadges.push(badge.id);
-                earnedBadges.add(badge.id);
-            }
-        });
+        const bySlowest = (a, b) => (b.latency || 0) - (a.latency || 0);
+        const byErrors = (a, b) => b.errorRatio - a.errorRatio || bySlowest(a, b);
         
-        // Accuracy badges
-        if (metrics.accuracy >= 90 && !earnedBadges.has('accuracy-90')) {
-            newBadges.push('accuracy-90');
-            earnedBadges.add('accuracy-90');
-        }
+        const keys = summarize(stats.keys, medianLatency, averageErrorRate).sort(byErrors);
+        const transitions = summarize(stats.bigrams, medianLatency, averageErrorRate)
+            .concat(summarize(stats.trigrams, medianLatency, averageErrorRate))
+            .filter(row => row.latency !== null)
+            .sort(bySlowest);
+        const fingers = summarize(stats.fingers, medianLatency, averageErrorRate).sort(byErrors);
         
-        if (metrics.accuracy >= 95 && !earnedBadges.has('accuracy-95')) {
-            newBadges.push('accuracy-95');
-            earnedBadges.add('accuracy-95');
+        const insights = [];
+        const slowest = transitions.find(row => row.id.length === 2);
+        if (slowest && slowest.latencyRatio >= OUTLIER_RATIO) {
+            insights.push({ type: 'transition', id: slowest.id, latency: slowest.latency, ratio: slowest.latencyRatio });
         }
-        
-        if (metrics.accuracy === 100 && !earnedBadges.has('perfectionist')) {
-            newBadges.push('perfectionist');
-            earnedBadges.add('perfectionist');
+        if (fingers[0] && fingers[0].errors > 0 && fingers[0].errorRatio >= OUTLIER_RATIO) {
+            insights.push({ type: 'finger', id: fingers[0].id, ratio: fingers[0].errorRatio });
         }
-        
-        // Level badges
-        if (level === 'master' && !earnedBadges.has('master')) {
-            newBadges.push('master');
-            earnedBadges.add('master');
+        if (keys[0] && keys[0].errors > 0 && keys[0].errorRatio >= OUTLIER_RATIO) {
+            insights.push({ type: 'key', id: keys[0].id, ratio: keys[0].errorRatio });
         }
         
-        return newBadges;
+        return {
+            medianLatency,
+            averageErrorRate: Math.round(averageErrorRate * 100),
+            keys: keys.slice(0, REPORT_ROWS),
+            transitions: transitions.slice(0, REPORT_ROWS),
+            fingers,
+            insights
+        };
     }
     
     /**
-     * Generate performance feedback message
+     * Classify a substitution of one character for another:
+     * - case: the right key with or without Shift ('a' for 'A', '1' for '!')
+     * - same-finger: the finger that should have typed it hit another key
+     * - adjacent: a neighboring key on another finger
+     * - other: anything else
+     * @param {Function} keyInfoOf - Key info (keyId, finger, row, x) for a character, or null
      */
-    function generateFeedbackMessage(metrics, improvement) {
-        sessionCount++;
-        
-        // Check for stagnation (no improvement in WPM)
-        if (Math.abs(metrics.wpm - lastWPM) < 2) {
-            stagnantSessions++;
-        } else {
-            stagnantSessions = 0;
-        }
-        lastWPM = metrics.wpm;
-        
-        // Deliver caustic remark after 3 stagnant sessions
-        if (stagnantSessions >= 3) {
-            stagnantSessions = 0; // Reset counter
-            return causticRemarks[Math.floor(Math.random() * causticRemarks.length)];
-        }
+    function classifyConfusion(target, typed, keyInfoOf) {
+        const expected = keyInfoOf(target);
+        const actual = keyInfoOf(typed);
         
-        // Positive feedback for good performance
-        if (metrics.accuracy >= 90 || improvement > 5) {
-            return encouragingRemarks[Math.floor(Math.random() * encouragingRemarks.length)];
+        if (target.toLowerCase() === typed.toLowerCase() ||
+            (expected && actual && expected.keyId === actual.keyId)) {
+            return 'case';
         }
-        
-        // Standard feedback
-        if (metrics.accuracy >= 85) {
-            return "Good work! Keep practicing to improve your speed.";
-        } else if (metrics.accuracy >= 70) {
-            return "Focus on accuracy first, then speed will follow naturally.";
-        } else {
-            return "Take your time and focus on hitting the right keys.";
+        if (!expected || !actual) return 'other';
+        if (expected.finger === actual.finger) return 'same-finger';
+        if (expected.row !== undefined && actual.row !== undefined &&
+            Math.abs(expected.row - actual.row) <= 1 &&
+            Math.abs(expected.x - actual.x) <= ADJACENT_DISTANCE) {
+            return 'adjacent';
         }
+        return 'other';
     }
     
     /**
-     * Create confetti animation
+     * Add a session's confusion matrix (target -> typed -> count) to the totals
      */
-    function showConfetti() {
-        const container = document.getElementById('confetti-container');
-        container.innerHTML = '';
-        
+    function mergeConfusions(total, session) {
+        const merged = {};
+        [total, session].forEach(matrix => {
+            Object.keys(matrix || {}).forEach(target => {
+                merged[target] = merged[target] || {};
+                Object.keys(matrix[target]).forEach(typed => {
+                    merged[target][typed] = (merged[target][typed] || 0) + matrix[target][typed];
+                });
+            });
+        });
+        return merged;
+    }
+    
+    /**
+     * Get the most common substitutions in a confusion matrix and how many
+     * mistakes fall into each kind
+     * @returns {{total: number, byType: Object, substitutions: Array<{target: string, typed: string, count: number, type: string}>}}
+     */
+    function getConfusionReport(confusions = {}, keyInfoOf = () => null) {
+        const substitutions = [];
+        Object.keys(confusions).forEach(target => {
+            Object.keys(confusions[target]).forEach(typed => {
+                substitutions.push({
+                    target,
+                    typed,
+                    count: confusions[target][typed],
+                    type: classifyConfusion(target, typed, keyInfoOf)
+                });
+            });
+        });
+        substitutions.sort((a, b) => b.count - a.count);
+        
+        const byType = Object.fromEntries(CONFUSION_TYPES.map(type => [type, 0]));
+        substitutions.forEach(substitution => {
+            byType[substitution.type] += substitution.count;
+        });
+        
+        return {
+            total: substitutions.reduce((sum, substitution) => sum + substitution.count, 0),
+            byType,
+            substitutions: substitutions.slice(0, CONFUSION_ROWS)
+        };
+    }
+    
+    return {
+        createStats,
+        analyzeSession,
+        mergeStats,
+        getReport,
+        classifyConfusion,
+        mergeConfusions,
+        getConfusionReport
+    };
+})();
+
+// ============================================================================
+// GHOST RACER
+// ============================================================================
+
+/**
+ * A ghost is a recorded run on one lesson: the cursor position over time
+ * as [elapsed ms, position] frames, starting from the first keystroke.
+ * The text fingerprint keeps a ghost from racing on a different text
+ * that happens to share the lesson id.
+ */
+const GhostRacer = (function() {
+    'use strict';
+    
+    /**
+     * Hash text into a short fingerprint (djb2)
+     */
+    function fingerprint(text) {
+        let hash = 5381;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+        }
+        return (hash >>> 0).toString(36);
+    }
+    
+    /**
+     * Add a frame when the cursor has moved since the last one
+     * @param {Array<Array<number>>} frames - [elapsed ms, position] pairs
+     */
+    function recordFrame(frames, elapsed, position) {
+        const last = frames[frames.length - 1];
+        if (!last || last[1] !== position) {
+            frames.push([elapsed, position]);
+        }
+        return frames;
+    }
+    
+    function create(frames, metrics, text) {
+        return {
+            wpm: metrics.finalWPM,
+            accuracy: metrics.finalAccuracy,
+            date: new Date().toISOString(),
+            text: fingerprint(text),
+            frames: frames.map(frame => [...frame])
+        };
+    }
+    
+    function matches(ghost, text) {
+        return Boolean(ghost && Array.isArray(ghost.frames) && ghost.text === fingerprint(text));
+    }
+    
+    /**
+     * Whether a finished run should become the lesson's ghost
+     */
+    function isPersonalBest(ghost, metrics) {
+        return !ghost || metrics.finalWPM > ghost.wpm;
+    }
+    
+    /**
+     * Where the ghost's cursor was after a time
+     */
+    function positionAt(ghost, elapsed) {
+        let position = 0;
+        for (const [time, framePosition] of ghost.frames) {
+            if (time > elapsed) break;
+            position = framePosition;
+        }
+        return position;
+    }
+    
+    /**
+     * When the ghost first reached a position, or Infinity if it never did
+     */
+    function timeToReach(ghost, position) {
+        if (position <= 0) return 0;
+        const frame = ghost.frames.find(([, framePosition]) => framePosition >= position);
+        return frame ? frame[0] : Infinity;
+    }
+    
+    /**
+     * How far ahead of the ghost a typist is, in ms. Positive when the ghost
+     * has yet to reach the typist's position, negative when it got there first.
+     */
+    function getLead(ghost, position, elapsed) {
+        const lead = timeToReach(ghost, position) - elapsed;
+        return Number.isFinite(lead) ? lead : 0;
+    }
+    
+    return {
+        fingerprint,
+        recordFrame,
+        create,
+        matches,
+        isPersonalBest,
+        positionAt,
+        getLead
+    };
+})();
+
+// ============================================================================
+// RACE CLIENT
+// ============================================================================
+
+/**
+ * Connection to the LAN race server ("Typing Web App Race Server.js").
+ * Players in a room race on the same text after a countdown the server
+ * schedules; the server's clock is used to start everyone together.
+ */
+const RaceClient = (function() {
+    'use strict';
+    
+    const DEFAULT_PORT = 8080;
+    
+    // Send progress at most this often while racing
+    const PROGRESS_INTERVAL_MS = 200;
+    
+    // Longest text the server accepts for a race
+    const MAX_TEXT_LENGTH = 2000;
+    
+    let socket = null;
+    let handlers = {};
+    let clockOffset = 0;
+    let lastProgressAt = 0;
+    
+    /**
+     * The server that served the page, or one on this machine when the
+     * page was opened from a file
+     */
+    function getDefaultUrl() {
+        if (location.protocol === 'http:' || location.protocol === 'https:') {
+            return `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}`;
+        }
+        return `ws://localhost:${DEFAULT_PORT}`;
+    }
+    
+    /**
+     * Connect and join a room. An empty room code creates a new room.
+     * @param {Object} callbacks - Called with server messages by type
+     *     (joined, players, countdown, results, error) and on close
+     */
+    function connect(url, room, name, callbacks) {
+        disconnect();
+        handlers = callbacks;
+        
+        const connection = new WebSocket(url);
+        socket = connection;
+        connection.addEventListener('open', () => {
+            send({ type: 'join', room, name });
+        });
+        connection.addEventListener('message', (e) => {
+            let message;
+            try {
+                message = JSON.parse(e.data);
+            } catch (error) {
+                return;
+            }
+            if (message.type === 'countdown') {
+                clockOffset = message.serverTime - Date.now();
+            }
+            if (handlers[message.type]) {
+                handlers[message.type](message);
+            }
+        });
+        connection.addEventListener('close', () => {
+            if (socket !== connection) return;
+            socket = null;
+            if (handlers.close) handlers.close();
+        });
+    }
+    
+    function disconnect() {
+        if (!socket) return;
+        const connection = socket;
+        socket = null;
+        connection.close();
+    }
+    
+    function isConnected() {
+        return Boolean(socket && socket.readyState === WebSocket.OPEN);
+    }
+    
+    function send(message) {
+        if (isConnected()) {
+            socket.send(JSON.stringify(message));
+        }
+    }
+    
+    /**
+     * Ask the server to count down to a race on this text (host only)
+     */
+    function startRace(text, title) {
+        send({ type: 'start', text: text.slice(0, MAX_TEXT_LENGTH), title });
+    }
+    
+    /**
+     * Report the cursor position, throttled unless forced
+     */
+    function sendProgress(position, wpm, force = false) {
+        const now = Date.now();
+        if (!force && now - lastProgressAt < PROGRESS_INTERVAL_MS) return;
+        lastProgressAt = now;
+        send({ type: 'progress', position, wpm });
+    }
+    
+    function finish(wpm, accuracy) {
+        send({ type: 'finish', wpm, accuracy });
+    }
+    
+    /**
+     * Drop out of the race so the server stops waiting for a finish
+     */
+    function withdraw() {
+        send({ type: 'withdraw' });
+    }
+    
+    /**
+     * Convert a server timestamp to this machine's clock
+     */
+    function toLocalTime(serverTime) {
+        return serverTime - clockOffset;
+    }
+    
+    return {
+        MAX_TEXT_LENGTH,
+        getDefaultUrl,
+        connect,
+        disconnect,
+        isConnected,
+        startRace,
+        sendProgress,
+        finish,
+        withdraw,
+        toLocalTime
+    };
+})();
+
+// ============================================================================
+// OFFLINE SUPPORT
+// ============================================================================
+
+/**
+ * Registers the service worker ("Typing Web App Service Worker.js", deployed
+ * as service-worker.js) that caches the app for offline use, and tracks
+ * app updates and the browser's install prompt.
+ */
+const OfflineSupport = (function() {
+    'use strict';
+    
+    const SERVICE_WORKER_URL = 'service-worker.js';
+    
+    let waitingWorker = null;
+    let installPrompt = null;
+    let updating = false;
+    
+    /**
+     * Register the service worker. Pages opened from a file can't have one.
+     * @param {Object} callbacks - onUpdate() when a new version is ready,
+     *     onInstallable(available) when installing becomes possible or is done
+     */
+    function register(callbacks) {
+        window.addEventListener('beforeinstallprompt', (e) => {
+            e.preventDefault();
+            installPrompt = e;
+            callbacks.onInstallable(true);
+        });
+        window.addEventListener('appinstalled', () => {
+            installPrompt = null;
+            callbacks.onInstallable(false);
+        });
+        
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+        
+        const setWaiting = (worker) => {
+            waitingWorker = worker;
+            callbacks.onUpdate();
+        };
+        
+        navigator.serviceWorker.register(SERVICE_WORKER_URL).then(registration => {
+            // Without a controller this is the first install, not an update
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                setWaiting(registration.waiting);
+            }
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        setWaiting(worker);
+                    }
+                });
+            });
+        }).catch(error => {
+            console.warn('Offline support is unavailable:', error);
+        });
+        
+        // Reload once the new version has taken over
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (updating) location.reload();
+        });
+    }
+    
+    /**
+     * Switch to the waiting version; the page reloads when it takes over
+     */
+    function applyUpdate() {
+        if (!waitingWorker) return;
+        updating = true;
+        waitingWorker.postMessage({ type: 'skip-waiting' });
+    }
+    
+    /**
+     * Show the browser's install dialog
+     * @returns {Promise<boolean>} Whether the app was installed
+     */
+    function install() {
+        if (!installPrompt) return Promise.resolve(false);
+        
+        const prompt = installPrompt;
+        installPrompt = null;
+        prompt.prompt();
+        return prompt.userChoice.then(choice => choice.outcome === 'accepted');
+    }
+    
+    return {
+        register,
+        applyUpdate,
+        install
+    };
+})();
+
+// ============================================================================
+// ADAPTIVE DIFFICULTY ENGINE
+// ============================================================================
+
+const AdaptiveEngine = (function() {
+    'use strict';
+    
+    const TARGET_ACCURACY_MIN = 80;
+    const TARGET_ACCURACY_MAX = 90;
+    
+    const LEVELS = ['beginner', 'intermediate', 'advanced', 'master'];
+    
+    // Rolling window of sessions considered for a level change
+    const WINDOW_SIZE = 5;
+    const MIN_SESSIONS_FOR_PROMOTION = 3;
+    
+    // Number of most recent sessions that must all be struggling before a demotion
+    const DEMOTION_CONFIRMATIONS = 2;
+    
+    /**
+     * WPM bounds per level. The gap between one level's promotion
+     * threshold and the next level's demotion threshold provides hysteresis,
+     * so a learner who just moved up is not immediately moved back down.
+     */
+    const LEVEL_WPM = {
+        beginner: { promote: 20, demote: null },
+        intermediate: { promote: 35, demote: 12 },
+        advanced: { promote: 50, demote: 25 },
+        master: { promote: null, demote: 40 }
+    };
+    
+    /**
+     * Dictionary of common English words used to build practice drills.
+     * It deliberately covers every letter, including rare ones like q, x and z.
+     */
+    const COMMON_WORDS = [
+        'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'can', 'had',
+        'her', 'was', 'one', 'our', 'out', 'day', 'get', 'has', 'him', 'his',
+        'how', 'man', 'new', 'now', 'old', 'see', 'two', 'way', 'who', 'boy',
+        'did', 'its', 'let', 'put', 'say', 'she', 'too', 'use', 'sad', 'lad',
+        'dad', 'fad', 'add', 'lass', 'salad', 'gas', 'hall', 'flag', 'dash', 'shall',
+        'about', 'after',
+        'again', 'air', 'also', 'always', 'animal', 'answer', 'ask', 'back', 'ball', 'base',
+        'because', 'bed', 'before', 'begin', 'best', 'better', 'big', 'black', 'blue', 'boat',
+        'body', 'book', 'both', 'box', 'bring', 'brown', 'build', 'busy', 'buy', 'call',
+        'came', 'car', 'care', 'carry', 'change', 'city', 'class', 'close', 'cold', 'color',
+        'come', 'copy', 'could', 'country', 'cover', 'cross', 'cut', 'dark', 'deep', 'desk',
+        'does', 'dog', 'door', 'down', 'draw', 'dress', 'drive', 'dry', 'each', 'early',
+        'earth', 'east', 'easy', 'eat', 'egg', 'end', 'enjoy', 'enough', 'even', 'every',
+        'exact', 'example', 'excel', 'exit', 'expect', 'extra', 'eye', 'face', 'fact', 'fall',
+        'family', 'far', 'farm', 'fast', 'father', 'feel', 'few', 'field', 'find', 'fine',
+        'fire', 'first', 'fish', 'five', 'fix', 'flask', 'fly', 'follow', 'food', 'form',
+        'found', 'four', 'fox', 'free', 'friend', 'from', 'front', 'full', 'fuzzy', 'game',
+        'gave', 'give', 'glad', 'glass', 'good', 'great', 'green', 'ground', 'group', 'grow',
+        'half', 'hand', 'happy', 'hard', 'head', 'hear', 'heavy', 'help', 'here', 'high',
+        'hold', 'home', 'horse', 'hot', 'house', 'idea', 'inch', 'into', 'island', 'jacket',
+        'jam', 'jar', 'jazz', 'job', 'join', 'joke', 'joy', 'judge', 'juice', 'jump',
+        'just', 'keep', 'key', 'kick', 'kind', 'king', 'kitchen', 'knee', 'knew', 'know',
+        'lady', 'lake', 'land', 'large', 'last', 'late', 'laugh', 'lazy', 'lead', 'learn',
+        'leave', 'left', 'less', 'light', 'like', 'line', 'list', 'little', 'live', 'long',
+        'look', 'love', 'low', 'made', 'make', 'many', 'mark', 'match', 'maybe', 'mean',
+        'milk', 'mind', 'mix', 'money', 'month', 'more', 'most', 'mother', 'move', 'much',
+        'music', 'must', 'name', 'near', 'need', 'never', 'next', 'night', 'north', 'note',
+        'number', 'object', 'often', 'open', 'order', 'other', 'over', 'own', 'page', 'paper',
+        'part', 'pass', 'past', 'people', 'pick', 'piece', 'place', 'plan', 'play', 'point',
+        'power', 'press', 'pretty', 'prize', 'puzzle', 'quack', 'quick', 'quiet', 'quit', 'quite',
+        'quiz', 'quote', 'queen', 'question', 'rain', 'reach', 'read', 'ready', 'real', 'red',
+        'rest', 'right', 'river', 'road', 'rock', 'room', 'round', 'rule', 'run', 'said',
+        'same', 'saw', 'school', 'sea', 'second', 'seem', 'seven', 'shape', 'ship', 'short',
+        'show', 'side', 'simple', 'six', 'size', 'sky', 'sleep', 'slow', 'small', 'snow',
+        'some', 'song', 'soon', 'sound', 'south', 'space', 'speak', 'spell', 'stand', 'star',
+        'start', 'stay', 'step', 'still', 'stop', 'story', 'street', 'strong', 'study', 'such',
+        'sun', 'sure', 'table', 'take', 'talk', 'tax', 'teach', 'tell', 'ten', 'test',
+        'text', 'than', 'that', 'their', 'them', 'then', 'there', 'these', 'they', 'thing',
+        'think', 'this', 'those', 'three', 'time', 'today', 'together', 'told', 'took', 'top',
+        'toward', 'town', 'tree', 'true', 'try', 'turn', 'under', 'until', 'upon', 'usual',
+        'valley', 'value', 'very', 'view', 'visit', 'voice', 'vote', 'wait', 'walk', 'wall',
+        'want', 'warm', 'watch', 'water', 'week', 'well', 'went', 'were', 'west', 'what',
+        'wheel', 'when', 'where', 'which', 'while', 'white', 'whole', 'why', 'wide', 'will',
+        'wind', 'with', 'woman', 'wonder', 'wood', 'word', 'work', 'world', 'would', 'write',
+        'wax', 'yard', 'year', 'yellow', 'yes', 'yet', 'young', 'your', 'zebra', 'zero',
+        'zest', 'zinc', 'zone', 'zoo', 'zoom'
+    ];
+    
+    function average(values) {
+        if (values.length === 0) return 0;
+        return values.reduce((a, b) => a + b, 0) / values.length;
+    }
+    
+    function isStruggling(session, level) {
+        const demoteWPM = LEVEL_WPM[level].demote;
+        return session.accuracy < TARGET_ACCURACY_MIN ||
+            (demoteWPM !== null && session.wpm < demoteWPM);
+    }
+    
+    /**
+     * Decide whether a learner should move between levels.
+     * This implements adaptive difficulty to maintain optimal challenge level,
+     * using the averages of recent sessions at the current level rather than
+     * a single run.
+     *
+     * @param {Array<{wpm: number, accuracy: number}>} sessions - Sessions at currentLevel, oldest first
+     * @param {string} currentLevel
+     * @returns {{level: string, change: string, reason: string, averageWPM: number, averageAccuracy: number, sessions: number}}
+     */
+    function evaluateProgression(sessions, currentLevel) {
+        const recentWindow = sessions.slice(-WINDOW_SIZE);
+        const levelIndex = LEVELS.indexOf(currentLevel);
+        const rules = LEVEL_WPM[currentLevel];
+        const averageWPM = Math.round(average(recentWindow.map(session => session.wpm)));
+        const averageAccuracy = Math.round(average(recentWindow.map(session => session.accuracy)));
+        
+        const decision = {
+            level: currentLevel,
+            change: 'none',
+            reason: '',
+            averageWPM,
+            averageAccuracy,
+            sessions: recentWindow.length
+        };
+        
+        if (levelIndex === -1 || recentWindow.length === 0) return decision;
+        
+        // Too easy - increase difficulty
+        if (rules.promote !== null &&
+            recentWindow.length >= MIN_SESSIONS_FOR_PROMOTION &&
+            averageAccuracy >= TARGET_ACCURACY_MAX &&
+            averageWPM >= rules.promote) {
+            decision.level = LEVELS[levelIndex + 1];
+            decision.change = 'promoted';
+            decision.reason = `You averaged ${averageWPM} WPM at ${averageAccuracy}% accuracy over your last ${recentWindow.length} sessions.`;
+            return decision;
+        }
+        
+        // Too hard - decrease difficulty, but only if the struggle is sustained
+        const recent = recentWindow.slice(-DEMOTION_CONFIRMATIONS);
+        if (levelIndex > 0 &&
+            recent.length === DEMOTION_CONFIRMATIONS &&
+            recent.every(session => isStruggling(session, currentLevel)) &&
+            (averageAccuracy < TARGET_ACCURACY_MIN ||
+                (rules.demote !== null && averageWPM < rules.demote))) {
+            decision.level = LEVELS[levelIndex - 1];
+            decision.change = 'demoted';
+            decision.reason = `You averaged ${averageWPM} WPM at ${averageAccuracy}% accuracy over your last ${recentWindow.length} sessions. Let's rebuild your foundation.`;
+        }
+        
+        return decision;
+    }
+    
+    function randomItem(items) {
+        return items[Math.floor(Math.random() * items.length)];
+    }
+    
+    /**
+     * Join words into text of roughly the requested length without cutting a word in half
+     */
+    function joinWords(nextWord, length) {
+        const words = [nextWord()];
+        let textLength = words[0].length;
+        
+        while (textLength < length) {
+            const word = nextWord();
+            if (textLength + 1 + word.length > length) break;
+            words.push(word);
+            textLength += 1 + word.length;
+        }
+        
+        return words.join(' ');
+    }
+    
+    /**
+     * Find dictionary words made only of allowed letters that contain
+     * at least one of the required letters
+     */
+    function findWords(allowedLetters, requiredLetters) {
+        return COMMON_WORDS.filter(word =>
+            [...word].every(char => allowedLetters.includes(char)) &&
+            [...word].some(char => requiredLetters.includes(char)));
+    }
+    
+    /**
+     * Find words that drill a weak letter or bigram exactly as it is typed.
+     * Capitalized keys ("T", "Th") start capitalized words, and punctuation
+     * is attached where it falls ("e." ends a word in "e", "(a" starts one
+     * with "a"). Sequences no word can contain are drilled on their own.
+     */
+    function findDrillWords(key) {
+        let words = [];
+        const trailing = /^(\p{Ll}+)([^\p{L}]+)$/u.exec(key);
+        const leading = /^([^\p{L}]+)(\p{Ll}+)$/u.exec(key);
+        
+        if (/^\p{Ll}+$/u.test(key)) {
+            words = COMMON_WORDS.filter(word => word.includes(key));
+        } else if (/^\p{Lu}\p{Ll}*$/u.test(key)) {
+            const lower = key.toLowerCase();
+            words = COMMON_WORDS.filter(word => word.startsWith(lower)).map(word => key + word.slice(key.length));
+        } else if (trailing) {
+            words = COMMON_WORDS.filter(word => word.endsWith(trailing[1])).map(word => word + trailing[2]);
+        } else if (leading) {
+            words = COMMON_WORDS.filter(word => word.startsWith(leading[2])).map(word => leading[1] + word);
+        }
+        
+        return words.length > 0 ? words : [key];
+    }
+    
+    /**
+     * Get the most problematic keys, worst first
+     */
+    function getProblematicKeys(errorsByKey, count = 5) {
+        return Object.keys(errorsByKey)
+            .filter(key => key.trim() !== '' && errorsByKey[key] > 0)
+            .sort((a, b) => errorsByKey[b] - errorsByKey[a])
+            .slice(0, count);
+    }
+    
+    /**
+     * Generate spaced repetition text focusing on problematic keys
+     * This implements the spaced repetition algorithm for muscle memory training.
+     * Real dictionary words containing the weak letters or bigrams are weighted
+     * by errorsByKey; weak symbols and digits are attached to words.
+     * Bigrams with capitals or punctuation are drilled as typed (see findDrillWords).
+     */
+    function generateSpacedRepetitionText(errorsByKey, length = 100) {
+        const problematicKeys = getProblematicKeys(errorsByKey);
+        
+        if (problematicKeys.length === 0) {
+            return generateRandomText(length);
+        }
+        
+        const symbolKeys = problematicKeys.filter(key => key.length === 1 && !/^[a-z]$/i.test(key));
+        const sequenceKeys = problematicKeys.filter(key => !symbolKeys.includes(key));
+        
+        // Each weak letter or bigram gets a share of the drill proportional to
+        // its weight, spread across the words that contain it
+        const usable = [];
+        sequenceKeys.forEach(key => {
+            const words = findDrillWords(key);
+            words.forEach(word => {
+                usable.push({ word, weight: errorsByKey[key] / words.length });
+            });
+        });
+        
+        const totalWeight = usable.reduce((sum, candidate) => sum + candidate.weight, 0);
+        
+        const pickWeighted = () => {
+            let roll = Math.random() * totalWeight;
+            for (const candidate of usable) {
+                roll -= candidate.weight;
+                if (roll <= 0) return candidate.word;
+            }
+            return usable[usable.length - 1].word;
+        };
+        
+        return joinWords(() => {
+            // 80% chance to use a word containing a problematic key
+            let word = usable.length > 0 && Math.random() < 0.8 ?
+                pickWeighted() : randomItem(COMMON_WORDS);
+            
+            if (symbolKeys.length > 0 && (usable.length === 0 || Math.random() < 0.4)) {
+                word += randomItem(symbolKeys);
+            }
+            return word;
+        }, length);
+    }
+    
+    /**
+     * Generate contrast drills for characters that get mixed up. Each pair is
+     * practiced as short alternating patterns ("er re err ree") followed by
+     * dictionary words that contain both characters.
+     * @param {Array<{target: string, typed: string}>} pairs - Most confused first
+     */
+    function generateContrastText(pairs, length = 100) {
+        const usable = pairs.filter(pair => pair.target.trim() !== '' && pair.typed.trim() !== '');
+        if (usable.length === 0) {
+            return generateRandomText(length);
+        }
+        
+        let turn = 0;
+        const queue = [];
+        return joinWords(() => {
+            if (queue.length === 0) {
+                const { target: a, typed: b } = usable[turn++ % usable.length];
+                queue.push(a + b, b + a, a + b + b, b + a + a);
+                
+                const words = COMMON_WORDS.filter(word => word.includes(a) && word.includes(b));
+                if (words.length > 0) {
+                    queue.push(randomItem(words), randomItem(words));
+                }
+            }
+            return queue.shift();
+        }, length);
+    }
+    
+    /**
+     * Generate random text for practice
+     */
+    function generateRandomText(length) {
+        return joinWords(() => randomItem(COMMON_WORDS), length);
+    }
+    
+    return {
+        evaluateProgression,
+        getLevels: () => [...LEVELS],
+        getWindowSize: () => WINDOW_SIZE,
+        generateSpacedRepetitionText,
+        generateContrastText,
+        generateRandomText,
+        getProblematicKeys,
+        findWords
+    };
+})();
+
+// ============================================================================
+// SPACED REPETITION SCHEDULER
+// ============================================================================
+
+const SpacedRepetition = (function() {
+    'use strict';
+    
+    const DEFAULT_EASE = 2.5;
+    const MIN_EASE = 1.3;
+    const ERROR_HALF_LIFE_DAYS = 7;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    
+    /**
+     * Format a date as a local YYYY-MM-DD key
+     */
+    function toDateKey(date = new Date()) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+    
+    function addDays(dateKey, days) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return toDateKey(new Date(year, month - 1, day + days));
+    }
+    
+    function daysBetween(fromKey, toKey) {
+        const [fy, fm, fd] = fromKey.split('-').map(Number);
+        const [ty, tm, td] = toKey.split('-').map(Number);
+        return Math.round((new Date(ty, tm - 1, td) - new Date(fy, fm - 1, fd)) / DAY_MS);
+    }
+    
+    function createSchedule() {
+        return { keys: {}, bigrams: {} };
+    }
+    
+    function createItem(today) {
+        return {
+            ease: DEFAULT_EASE,
+            interval: 0,
+            repetitions: 0,
+            errors: 0,
+            due: today,
+            lastReviewed: today
+        };
+    }
+    
+    /**
+     * Decay accumulated errors so old mistakes matter less than recent ones
+     */
+    function decayedErrors(item, today) {
+        const elapsed = Math.max(0, daysBetween(item.lastReviewed, today));
+        return item.errors * Math.pow(0.5, elapsed / ERROR_HALF_LIFE_DAYS);
+    }
+    
+    /**
+     * Convert session accuracy for an item into an SM-2 quality grade (0-5)
+     */
+    function gradeAccuracy(accuracy) {
+        if (accuracy >= 0.98) return 5;
+        if (accuracy >= 0.95) return 4;
+        if (accuracy >= 0.9) return 3;
+        if (accuracy >= 0.8) return 2;
+        if (accuracy >= 0.6) return 1;
+        return 0;
+    }
+    
+    /**
+     * Apply one SM-2 review to an item
+     */
+    function reviewItem(item, attempts, errors, today) {
+        const quality = gradeAccuracy((attempts - errors) / attempts);
+        
+        item.errors = decayedErrors(item, today) + errors;
+        item.ease = Math.max(MIN_EASE,
+            item.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+        
+        if (quality < 3) {
+            item.repetitions = 0;
+            item.interval = 1;
+        } else {
+            item.repetitions++;
+            if (item.repetitions === 1) item.interval = 1;
+            else if (item.repetitions === 2) item.interval = 6;
+            else item.interval = Math.round(item.interval * item.ease);
+        }
+        
+        item.due = addDays(today, item.interval);
+        item.lastReviewed = today;
+    }
+    
+    function tally(counts, unit, isCorrect) {
+        if (!counts[unit]) counts[unit] = { attempts: 0, errors: 0 };
+        counts[unit].attempts++;
+        if (!isCorrect) counts[unit].errors++;
+    }
+    
+    /**
+     * Review every key and bigram practiced in a session.
+     * Items are only scheduled once they have produced an error; after that
+     * they are reviewed each time they are practiced until they graduate
+     * to long intervals.
+     *
+     * @param {Object} schedule - Schedule from a previous review, or undefined
+     * @param {Array} keystrokeLog - Log from TypingMetrics.getKeystrokeLog()
+     * @param {string} text - The text that was typed
+     * @param {string} [today] - Date key, defaults to today
+     * @returns {Object} The updated schedule
+     */
+    function reviewSession(schedule, keystrokeLog, text, today = toDateKey()) {
+        const updated = schedule ? JSON.parse(JSON.stringify(schedule)) : createSchedule();
+        const keyCounts = {};
+        const bigramCounts = {};
+        
+        keystrokeLog.forEach(event => {
+            if (event.type !== 'char' || event.target.trim() === '') return;
+            
+            tally(keyCounts, event.target, event.correct);
+            
+            const previous = text[event.position - 1];
+            if (previous && previous.trim() !== '') {
+                tally(bigramCounts, previous + event.target, event.correct);
+            }
+        });
+        
+        [[updated.keys, keyCounts], [updated.bigrams, bigramCounts]].forEach(([items, counts]) => {
+            Object.keys(counts).forEach(unit => {
+                const { attempts, errors } = counts[unit];
+                if (!items[unit]) {
+                    if (errors === 0) return;
+                    items[unit] = createItem(today);
+                }
+                reviewItem(items[unit], attempts, errors, today);
+            });
+        });
+        
+        return updated;
+    }
+    
+    /**
+     * Seed a schedule from lifetime error totals, with everything due today
+     */
+    function seedFromErrors(errorsByKey, today = toDateKey()) {
+        const schedule = createSchedule();
+        Object.keys(errorsByKey).forEach(key => {
+            if (key.trim() === '' || !errorsByKey[key]) return;
+            schedule.keys[key] = { ...createItem(today), errors: errorsByKey[key] };
+        });
+        return schedule;
+    }
+    
+    /**
+     * Get items due for review, most urgent first.
+     * Urgency combines recent (decayed) errors, difficulty and how overdue the item is.
+     *
+     * @param {Object} items - schedule.keys or schedule.bigrams
+     * @returns {Array<{unit: string, errors: number, ease: number, due: string, priority: number}>}
+     */
+    function getDueItems(items = {}, today = toDateKey()) {
+        return Object.keys(items)
+            .filter(unit => items[unit].due <= today)
+            .map(unit => {
+                const item = items[unit];
+                const errors = decayedErrors(item, today);
+                const overdue = daysBetween(item.due, today);
+                return {
+                    unit,
+                    errors: Math.round(errors * 10) / 10,
+                    ease: item.ease,
+                    due: item.due,
+                    priority: (errors + 1) * (DEFAULT_EASE / item.ease) * (1 + overdue / 7)
+                };
+            })
+            .sort((a, b) => b.priority - a.priority);
+    }
+    
+    /**
+     * Build a weight map of due keys and bigrams for drill generation
+     */
+    function getDueWeights(schedule, today = toDateKey()) {
+        const weights = {};
+        if (!schedule) return weights;
+        
+        getDueItems(schedule.keys, today).forEach(item => {
+            weights[item.unit] = item.priority;
+        });
+        getDueItems(schedule.bigrams, today).forEach(item => {
+            weights[item.unit] = item.priority;
+        });
+        return weights;
+    }
+    
+    return {
+        toDateKey,
+        addDays,
+        reviewSession,
+        seedFromErrors,
+        getDueItems,
+        getDueWeights
+    };
+})();
+
+// ============================================================================
+// DAILY GOALS AND STREAKS
+// ============================================================================
+
+const DailyGoals = (function() {
+    'use strict';
+    
+    const GOAL_TYPES = {
+        minutes: { max: 240 },
+        lessons: { max: 50 }
+    };
+    const DEFAULT_GOAL = { type: 'minutes', target: 10 };
+    const CALENDAR_WEEKS = 12;
+    
+    /**
+     * Clean up a saved or entered goal, falling back to the default
+     */
+    function normalizeGoal(goal) {
+        const type = goal && GOAL_TYPES[goal.type] ? goal.type : DEFAULT_GOAL.type;
+        const target = Math.round(Number(goal && goal.target));
+        return {
+            type,
+            target: target >= 1 ? Math.min(target, GOAL_TYPES[type].max) : DEFAULT_GOAL.target
+        };
+    }
+    
+    /**
+     * Add a finished session to the per-day practice totals
+     * @param {Object} days - dateKey -> { seconds, lessons }
+     * @returns {Object} Updated totals
+     */
+    function recordPractice(days, seconds, dateKey = SpacedRepetition.toDateKey()) {
+        const day = days[dateKey] || { seconds: 0, lessons: 0 };
+        return {
+            ...days,
+            [dateKey]: { seconds: day.seconds + seconds, lessons: day.lessons + 1 }
+        };
+    }
+    
+    /**
+     * Get how much of the goal was practiced on a day, in the goal's unit
+     */
+    function getAmount(days, goal, dateKey) {
+        const day = days[dateKey];
+        if (!day) return 0;
+        return goal.type === 'lessons' ? day.lessons : Math.floor(day.seconds / 60);
+    }
+    
+    function isGoalMet(days, goal, dateKey) {
+        return getAmount(days, goal, dateKey) >= goal.target;
+    }
+    
+    /**
+     * Count consecutive days on which the goal was met. The current streak
+     * still counts yesterday's run while today's goal is open.
+     * @returns {Object} current and longest streak in days
+     */
+    function getStreaks(days, goal, today = SpacedRepetition.toDateKey()) {
+        const metDays = Object.keys(days).filter(dateKey => isGoalMet(days, goal, dateKey)).sort();
+        
+        let longest = 0;
+        let run = 0;
+        let previous = null;
+        metDays.forEach(dateKey => {
+            run = previous && SpacedRepetition.addDays(previous, 1) === dateKey ? run + 1 : 1;
+            longest = Math.max(longest, run);
+            previous = dateKey;
+        });
+        
+        let current = 0;
+        let dateKey = isGoalMet(days, goal, today) ? today : SpacedRepetition.addDays(today, -1);
+        while (isGoalMet(days, goal, dateKey)) {
+            current++;
+            dateKey = SpacedRepetition.addDays(dateKey, -1);
+        }
+        
+        return { current, longest };
+    }
+    
+    /**
+     * Get calendar cells for the last weeks, oldest first, starting on a Monday.
+     * Each cell has a 0-4 intensity relative to the goal.
+     */
+    function getCalendar(days, goal, today = SpacedRepetition.toDateKey()) {
+        const [year, month, day] = today.split('-').map(Number);
+        const weekday = (new Date(year, month - 1, day).getDay() + 6) % 7;
+        const start = SpacedRepetition.addDays(today, -weekday - (CALENDAR_WEEKS - 1) * 7);
+        
+        const cells = [];
+        for (let i = 0; i <= weekday + (CALENDAR_WEEKS - 1) * 7; i++) {
+            const dateKey = SpacedRepetition.addDays(start, i);
+            const amount = getAmount(days, goal, dateKey);
+            const practiced = Boolean(days[dateKey]);
+            cells.push({
+                date: dateKey,
+                amount,
+                level: practiced ? Math.max(1, Math.min(4, Math.ceil(amount / goal.target * 4))) : 0
+            });
+        }
+        return cells;
+    }
+    
+    return {
+        normalizeGoal,
+        recordPractice,
+        getAmount,
+        isGoalMet,
+        getStreaks,
+        getCalendar
+    };
+})();
+
+// ============================================================================
+// DURABLE STORAGE
+// ============================================================================
+
+/**
+ * Key-value storage for profiles, progress, custom lessons and coach packs,
+ * kept in IndexedDB with persistent storage requested so the browser is
+ * less likely to evict it. Reads are synchronous from an in-memory copy
+ * loaded at startup, and writes are saved in the background.
+ *
+ * Until load() finishes, or where IndexedDB is unavailable, localStorage
+ * is used as before. Every write is also copied to localStorage where it
+ * fits, so a session without IndexedDB still starts with the learner's
+ * data, and other open tabs are told about writes so their copies stay
+ * current.
+ */
+const DurableStorage = (function() {
+    'use strict';
+    
+    const DB_NAME = 'sharpTypingTutorStorage';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'records';
+    const CHANNEL_NAME = 'sharpTypingTutorStorage';
+    
+    // Keys that used to live in localStorage, alone or as `${key}:${profileId}`
+    const MIGRATED_KEYS = ['typingProfiles', 'typingProgress', 'typingCustomLessons', 'typingCoachPacks'];
+    
+    let db = null;
+    let records = null;
+    let channel = null;
+    
+    function openDatabase() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not supported'));
+                return;
+            }
+            
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    /**
+     * Run a transaction on the records store and resolve when it completes
+     */
+    function runTransaction(mode, work) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const result = work(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+    
+    function isMigratedKey(key) {
+        return MIGRATED_KEYS.some(name => key === name || key.startsWith(`${name}:`));
+    }
+    
+    /**
+     * Copy keys from localStorage into IndexedDB where they differ. The
+     * localStorage copy is written first and dropped when it can't keep up,
+     * so when both exist it is the newer one: from an older version of the
+     * app, a session without IndexedDB, or a save that failed.
+     */
+    function migrateLocalStorage() {
+        const changed = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (isMigratedKey(key) && localStorage.getItem(key) !== records.get(key)) {
+                changed.push(key);
+            }
+        }
+        if (changed.length === 0) return Promise.resolve();
+        
+        changed.forEach(key => records.set(key, localStorage.getItem(key)));
+        return runTransaction('readwrite', store => {
+            changed.forEach(key => store.put({ key, value: records.get(key) }));
+        });
+    }
+    
+    /**
+     * Apply writes made in other tabs to this tab's copy
+     */
+    function listenToOtherTabs() {
+        if (typeof BroadcastChannel === 'undefined') return;
+        
+        channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.onmessage = (event) => {
+            if (!records) return;
+            const { key, value } = event.data;
+            if (value === null) {
+                records.delete(key);
+            } else {
+                records.set(key, value);
+            }
+        };
+    }
+    
+    function notifyOtherTabs(key, value) {
+        if (channel) channel.postMessage({ key, value });
+    }
+    
+    /**
+     * Keep the localStorage copy of a key. When it doesn't fit the stale
+     * copy is removed so it can't win over IndexedDB on the next load.
+     */
+    function mirror(key, value) {
+        try {
+            localStorage.setItem(key, value);
+        } catch (error) {
+            localStorage.removeItem(key);
+        }
+    }
+    
+    /**
+     * Load all records into memory and move localStorage data over.
+     * Always resolves; on failure storage stays on localStorage.
+     * @returns {Promise}
+     */
+    function load() {
+        if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.persist) {
+            navigator.storage.persist().catch(() => {});
+        }
+        
+        return openDatabase()
+            .then(database => {
+                db = database;
+                return runTransaction('readonly', store => store.getAll());
+            })
+            .then(request => {
+                records = new Map(request.result.map(record => [record.key, record.value]));
+                listenToOtherTabs();
+                return migrateLocalStorage();
+            })
+            .catch(error => {
+                console.warn('Progress is stored in localStorage only:', error);
+                if (channel) channel.close();
+                db = null;
+                records = null;
+                channel = null;
+            });
+    }
+    
+    function save(work) {
+        runTransaction('readwrite', work).catch(error => {
+            console.warn('Progress could not be saved:', error);
+        });
+    }
+    
+    function getItem(key) {
+        if (!records) return localStorage.getItem(key);
+        return records.has(key) ? records.get(key) : null;
+    }
+    
+    function setItem(key, value) {
+        if (!records) {
+            localStorage.setItem(key, value);
+            return;
+        }
+        const text = String(value);
+        mirror(key, text);
+        records.set(key, text);
+        notifyOtherTabs(key, text);
+        save(store => store.put({ key, value: text }));
+    }
+    
+    function removeItem(key) {
+        localStorage.removeItem(key);
+        if (!records) return;
+        records.delete(key);
+        notifyOtherTabs(key, null);
+        save(store => store.delete(key));
+    }
+    
+    return {
+        load,
+        getItem,
+        setItem,
+        removeItem
+    };
+})();
+
+// ============================================================================
+// LEARNER PROFILES
+// ============================================================================
+
+const LearnerProfiles = (function() {
+    'use strict';
+    
+    const STORAGE_KEY = 'typingProfiles';
+    const DEFAULT_PROFILE_ID = 'default';
+    const MAX_NAME_LENGTH = 40;
+    
+    // Per-learner storage keys, stored as `${key}:${profileId}`
+    const PROFILE_KEYS = ['typingProgress', 'typingCustomLessons'];
+    
+    let registry = null;
+    
+    /**
+     * Load the profile list, moving data saved before profiles existed
+     * into a default profile on first use
+     */
+    function load() {
+        if (registry) return registry;
+        
+        registry = JSON.parse(DurableStorage.getItem(STORAGE_KEY) || 'null');
+        if (registry && registry.profiles.length > 0) return registry;
+        
+        registry = {
+            activeId: DEFAULT_PROFILE_ID,
+            profiles: [{ id: DEFAULT_PROFILE_ID, name: 'Default', created: new Date().toISOString() }]
+        };
+        PROFILE_KEYS.forEach(key => {
+            const legacy = DurableStorage.getItem(key);
+            if (legacy !== null) {
+                DurableStorage.setItem(`${key}:${DEFAULT_PROFILE_ID}`, legacy);
+                DurableStorage.removeItem(key);
+            }
+        });
+        save();
+        return registry;
+    }
+    
+    function save() {
+        DurableStorage.setItem(STORAGE_KEY, JSON.stringify(registry));
+    }
+    
+    function find(id) {
+        return load().profiles.find(profile => profile.id === id);
+    }
+    
+    /**
+     * Get all profiles in creation order
+     */
+    function list() {
+        return load().profiles.map(profile => ({ ...profile }));
+    }
+    
+    function getActiveId() {
+        return load().activeId;
+    }
+    
+    function getActive() {
+        return { ...find(getActiveId()) };
+    }
+    
+    /**
+     * Get the storage key holding the active learner's copy of a setting
+     * @param {string} key - e.g. 'typingProgress'
+     */
+    function storageKey(key) {
+        return `${key}:${getActiveId()}`;
+    }
+    
+    /**
+     * Create a profile, throwing if the name is empty or already taken
+     * @returns {Object} The new profile
+     */
+    function create(name) {
+        const trimmed = String(name || '').trim().slice(0, MAX_NAME_LENGTH);
+        if (!trimmed) {
+            throw new Error('error.profileNameRequired');
+        }
+        if (load().profiles.some(profile => profile.name.toLowerCase() === trimmed.toLowerCase())) {
+            throw Object.assign(new Error('error.profileExists'), { values: { name: trimmed } });
+        }
+        
+        const profile = {
+            id: `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            name: trimmed,
+            created: new Date().toISOString()
+        };
+        registry.profiles.push(profile);
+        save();
+        return { ...profile };
+    }
+    
+    /**
+     * Switch the active profile
+     */
+    function setActive(id) {
+        if (!find(id)) {
+            throw new Error('error.profileMissing');
+        }
+        registry.activeId = id;
+        save();
+    }
+    
+    /**
+     * Delete a profile and its stored data. The last profile can't be deleted.
+     * Deleting the active profile switches to the first remaining one.
+     */
+    function remove(id) {
+        if (!find(id)) return;
+        if (registry.profiles.length === 1) {
+            throw new Error('error.lastProfile');
+        }
+        
+        registry.profiles = registry.profiles.filter(profile => profile.id !== id);
+        if (registry.activeId === id) {
+            registry.activeId = registry.profiles[0].id;
+        }
+        PROFILE_KEYS.forEach(key => DurableStorage.removeItem(`${key}:${id}`));
+        save();
+    }
+    
+    return {
+        DEFAULT_PROFILE_ID,
+        MAX_NAME_LENGTH,
+        list,
+        getActiveId,
+        getActive,
+        storageKey,
+        create,
+        setActive,
+        remove
+    };
+})();
+
+// ============================================================================
+// SESSION HISTORY STORE
+// ============================================================================
+
+const SessionHistory = (function() {
+    'use strict';
+    
+    const DB_NAME = 'sharpTypingTutor';
+    const DB_VERSION = 2;
+    const STORE_NAME = 'sessions';
+    
+    let dbPromise = null;
+    
+    // Used when IndexedDB is unavailable (e.g. some private browsing modes)
+    let memorySessions = [];
+    
+    /**
+     * Open the history database, creating the sessions store on first use.
+     * Version 2 indexes sessions by learner profile; sessions saved before
+     * profiles existed belong to the default profile.
+     */
+    function openDatabase() {
+        if (dbPromise) return dbPromise;
+        
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not supported'));
+                return;
+            }
+            
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                let store;
+                if (db.objectStoreNames.contains(STORE_NAME)) {
+                    store = request.transaction.objectStore(STORE_NAME);
+                } else {
+                    store = db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('date', 'date');
+                    store.createIndex('lessonId', 'lessonId');
+                }
+                
+                if (event.oldVersion < 2) {
+                    store.createIndex('profileId', 'profileId');
+                    store.openCursor().onsuccess = (e) => {
+                        const cursor = e.target.result;
+                        if (!cursor) return;
+                        if (!cursor.value.profileId) {
+                            cursor.update({ ...cursor.value, profileId: LearnerProfiles.DEFAULT_PROFILE_ID });
+                        }
+                        cursor.continue();
+                    };
+                }
+            };
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        
+        return dbPromise;
+    }
+    
+    /**
+     * Run a request against the sessions store and resolve with its result
+     */
+    function runRequest(mode, createRequest) {
+        return openDatabase().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = createRequest(transaction.objectStore(STORE_NAME));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }));
+    }
+    
+    /**
+     * Append a finished session to the active learner's history
+     * @param {Object} session - date, lessonId, level, wpm, accuracy, durationSeconds, errorsByKey
+     * @returns {Promise}
+     */
+    function addSession(session) {
+        const record = { ...session, profileId: LearnerProfiles.getActiveId() };
+        return runRequest('readwrite', store => store.add(record)).catch(error => {
+            console.warn('Session history is not persisted:', error);
+            memorySessions.push(record);
+        });
+    }
+    
+    /**
+     * Get a learner's sessions, oldest first
+     * @param {string} profileId - Defaults to the active profile
+     * @returns {Promise<Array>}
+     */
+    function getSessions(profileId = LearnerProfiles.getActiveId()) {
+        return runRequest('readonly', store => store.index('profileId').getAll(profileId))
+            .catch(() => memorySessions.filter(session => session.profileId === profileId))
+            .then(sessions => sessions.sort((a, b) => a.date.localeCompare(b.date)));
+    }
+    
+    /**
+     * Delete all of a learner's sessions
+     * @returns {Promise}
+     */
+    function deleteSessions(profileId) {
+        memorySessions = memorySessions.filter(session => session.profileId !== profileId);
+        
+        return openDatabase().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, 'readwrite');
+            const request = transaction.objectStore(STORE_NAME).index('profileId').openCursor(profileId);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        })).catch(error => {
+            console.warn('Session history could not be deleted:', error);
+        });
+    }
+    
+    return {
+        addSession,
+        getSessions,
+        deleteSessions
+    };
+})();
+
+// ============================================================================
+// PROFILE BACKUP
+// ============================================================================
+
+const ProfileBackup = (function() {
+    'use strict';
+    
+    const FORMAT = 'sharp-typing-profile';
+    const VERSION = 2;
+    
+    const CSV_COLUMNS = ['date', 'lessonId', 'lessonTitle', 'level', 'wpm', 'netWPM', 'rawWPM',
+        'accuracy', 'durationSeconds', 'errorMode', 'errors'];
+    
+    /**
+     * Upgrades from each older backup version to the next one.
+     * Version 0 is a bare typingProgress object copied out of localStorage.
+     */
+    const MIGRATIONS = {
+        0: progress => ({
+            format: FORMAT,
+            version: 1,
+            exportedAt: null,
+            profile: { name: 'Imported', created: null },
+            progress,
+            customLessons: [],
+            sessions: []
+        }),
+        
+        // Version 2 moved badges and per-key errors out of progress
+        1: ({ progress, ...backup }) => {
+            const { earnedBadges = [], errorsByKey = {}, ...rest } = progress || {};
+            return { ...backup, version: 2, progress: rest, badges: earnedBadges, errorsByKey };
+        }
+    };
+    
+    /**
+     * Serialize a learner's data as a backup file
+     * @param {Object} data - profile, progress, customLessons and sessions
+     */
+    function create({ profile, progress, customLessons, sessions }) {
+        const { earnedBadges = [], errorsByKey = {}, ...rest } = progress;
+        
+        return JSON.stringify({
+            format: FORMAT,
+            version: VERSION,
+            exportedAt: new Date().toISOString(),
+            profile: { name: profile.name, created: profile.created },
+            progress: rest,
+            badges: earnedBadges,
+            errorsByKey,
+            customLessons,
+            sessions: sessions.map(({ id, profileId, ...session }) => session)
+        }, null, 2);
+    }
+    
+    /**
+     * Parse a backup file, upgrading older versions, and return the learner's
+     * data with badges and errors merged back into progress. Throws if the
+     * file is not a backup.
+     */
+    function parse(json) {
+        let backup;
+        try {
+            backup = JSON.parse(json);
+        } catch (error) {
+            throw new Error('error.invalidJson');
+        }
+        
+        if (!backup || typeof backup !== 'object' || Array.isArray(backup)) {
+            throw new Error('error.notProfile');
+        }
+        // A bare progress object has no format marker
+        if (backup.format === undefined && ('totalSessions' in backup || 'currentLevel' in backup)) {
+            backup = MIGRATIONS[0](backup);
+        }
+        if (backup.format !== FORMAT) {
+            throw new Error('error.notProfile');
+        }
+        if (backup.version > VERSION) {
+            throw new Error('error.profileTooNew');
+        }
+        
+        let data = backup;
+        while (data.version < VERSION) {
+            if (!MIGRATIONS[data.version]) {
+                throw Object.assign(new Error('error.profileVersion'), { values: { version: data.version } });
+            }
+            data = MIGRATIONS[data.version](data);
+        }
+        
+        return {
+            profile: { name: String((data.profile && data.profile.name) || 'Imported') },
+            progress: { ...data.progress, earnedBadges: data.badges || [], errorsByKey: data.errorsByKey || {} },
+            customLessons: Array.isArray(data.customLessons) ? data.customLessons : [],
+            sessions: (Array.isArray(data.sessions) ? data.sessions : [])
+                .filter(session => session && typeof session.date === 'string')
+                .map(({ id, profileId, ...session }) => session)
+        };
+    }
+    
+    function csvField(value) {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+    
+    /**
+     * Convert session history to CSV with one row per session
+     */
+    function sessionsToCSV(sessions) {
+        const rows = sessions.map(session => {
+            const errors = Object.values(session.errorsByKey || {}).reduce((sum, count) => sum + count, 0);
+            return CSV_COLUMNS.map(column => csvField(column === 'errors' ? errors : session[column])).join(',');
+        });
+        return [CSV_COLUMNS.join(',')].concat(rows).join('\r\n') + '\r\n';
+    }
+    
+    return {
+        create,
+        parse,
+        sessionsToCSV
+    };
+})();
+
+// ============================================================================
+// PROGRESS VIEW
+// ============================================================================
+
+const ProgressView = (function() {
+    'use strict';
+    
+    const HISTOGRAM_DAYS = 14;
+    const CHART_PADDING = 36;
+    
+    function cssColor(name, fallback) {
+        const value = getComputedStyle(document.documentElement).getPropertyValue(name);
+        return value ? value.trim() : fallback;
+    }
+    
+    /**
+     * Prepare a canvas for drawing and return its context and drawable area
+     */
+    function setupCanvas(canvas) {
+        const context = canvas.getContext('2d');
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.font = '11px sans-serif';
+        return {
+            context,
+            left: CHART_PADDING,
+            top: CHART_PADDING / 2,
+            width: canvas.width - CHART_PADDING * 2,
+            height: canvas.height - CHART_PADDING * 1.5
+        };
+    }
+    
+    function drawEmpty(canvas, message) {
+        const { context } = setupCanvas(canvas);
+        context.fillStyle = cssColor('--gray-500', '#9E9E9E');
+        context.textAlign = 'center';
+        context.fillText(message, canvas.width / 2, canvas.height / 2);
+    }
+    
+    function drawLine(area, values, maxValue, color) {
+        const { context, left, top, width, height } = area;
+        const step = values.length > 1 ? width / (values.length - 1) : 0;
+        
+        context.strokeStyle = color;
+        context.lineWidth = 2;
+        context.beginPath();
+        values.forEach((value, index) => {
+            const x = left + index * step;
+            const y = top + height - (value / maxValue) * height;
+            if (index === 0) context.moveTo(x, y);
+            else context.lineTo(x, y);
+        });
+        context.stroke();
+    }
+    
+    /**
+     * Draw WPM (left axis) and accuracy (right axis, 0-100%) trend lines
+     */
+    function drawTrendChart(canvas, sessions) {
+        if (sessions.length === 0) {
+            drawEmpty(canvas, I18n.t('progress.empty'));
+            return;
+        }
+        
+        const area = setupCanvas(canvas);
+        const { context, left, top, width, height } = area;
+        const maxWPM = Math.max(20, ...sessions.map(session => session.wpm));
+        const wpmColor = cssColor('--primary-color', '#556B2F');
+        const accuracyColor = cssColor('--warning-color', '#FF9800');
+        
+        // Axes
+        context.strokeStyle = cssColor('--gray-300', '#E0E0E0');
+        context.lineWidth = 1;
+        context.strokeRect(left, top, width, height);
+        
+        context.fillStyle = wpmColor;
+        context.textAlign = 'right';
+        context.fillText(String(maxWPM), left - 4, top + 4);
+        context.fillText('0', left - 4, top + height);
+        
+        context.fillStyle = accuracyColor;
+        context.textAlign = 'left';
+        context.fillText('100%', left + width + 4, top + 4);
+        context.fillText('0%', left + width + 4, top + height);
+        
+        drawLine(area, sessions.map(session => session.wpm), maxWPM, wpmColor);
+        drawLine(area, sessions.map(session => session.accuracy), 100, accuracyColor);
+        
+        // Legend
+        context.textAlign = 'left';
+        context.fillStyle = wpmColor;
+        const wpmLabel = I18n.t('metrics.wpm');
+        context.fillText(wpmLabel, left, top + height + 16);
+        context.fillStyle = accuracyColor;
+        context.fillText(I18n.t('metrics.accuracy'), left + context.measureText(wpmLabel).width + 12, top + height + 16);
+    }
+    
+    /**
+     * Draw minutes practiced per day over the last two weeks
+     */
+    function drawPracticeHistogram(canvas, sessions) {
+        const minutesByDay = {};
+        sessions.forEach(session => {
+            const day = SpacedRepetition.toDateKey(new Date(session.date));
+            minutesByDay[day] = (minutesByDay[day] || 0) + session.durationSeconds / 60;
+        });
+        
+        const days = [];
+        for (let i = HISTOGRAM_DAYS - 1; i >= 0; i--) {
+            const date = new Date();
+            date.setDate(date.getDate() - i);
+            const key = SpacedRepetition.toDateKey(date);
+            days.push({ key, minutes: minutesByDay[key] || 0 });
+        }
+        
+        const { context, left, top, width, height } = setupCanvas(canvas);
+        const maxMinutes = Math.max(5, ...days.map(day => day.minutes));
+        const barWidth = width / days.length;
+        
+        context.fillStyle = cssColor('--gray-600', '#757575');
+        context.textAlign = 'right';
+        context.fillText(`${Math.ceil(maxMinutes)}m`, left - 4, top + 4);
+        context.fillText('0', left - 4, top + height);
+        
+        days.forEach((day, index) => {
+            const barHeight = (day.minutes / maxMinutes) * height;
+            const x = left + index * barWidth;
+            
+            context.fillStyle = cssColor('--accent-color', '#7BA428');
+            context.fillRect(x + 2, top + height - barHeight, barWidth - 4, barHeight);
+            
+            context.fillStyle = cssColor('--gray-600', '#757575');
+            context.textAlign = 'center';
+            context.fillText(day.key.slice(8), x + barWidth / 2, top + height + 14);
+        });
+    }
+    
+    /**
+     * Render the best WPM and accuracy for each lesson as a table
+     */
+    function renderLessonBests(container, sessions) {
+        const bests = {};
+        sessions.forEach(session => {
+            const best = bests[session.lessonId] || { title: session.lessonTitle, wpm: 0, accuracy: 0, count: 0 };
+            best.wpm = Math.max(best.wpm, session.wpm);
+            best.accuracy = Math.max(best.accuracy, session.accuracy);
+            best.count++;
+            bests[session.lessonId] = best;
+        });
+        
+        container.innerHTML = '';
+        const lessonIds = Object.keys(bests);
+        if (lessonIds.length === 0) return;
+        
+        const rows = lessonIds.sort((a, b) => bests[b].wpm - bests[a].wpm).map(lessonId => {
+            const best = bests[lessonId];
+            return [best.title || lessonId, best.wpm, best.accuracy + '%', best.count];
+        });
+        container.appendChild(createTable('lesson-bests-table',
+            ['progress.lesson', 'progress.bestWpm', 'progress.bestAccuracy', 'progress.sessions'], rows));
+    }
+    
+    /**
+     * Build a table with translated column headings
+     * @param {string} className
+     * @param {Array<string>} headingKeys - Locale keys for the column headings
+     * @param {Array<Array>} rows - Cell values for each row
+     */
+    function createTable(className, headingKeys, rows) {
+        const table = document.createElement('table');
+        table.className = className;
+        
+        const head = table.createTHead().insertRow();
+        headingKeys.forEach(key => {
+            const cell = document.createElement('th');
+            cell.textContent = I18n.t(key);
+            head.appendChild(cell);
+        });
+        
+        const body = document.createElement('tbody');
+        rows.forEach(values => {
+            const row = document.createElement('tr');
+            values.forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
+        table.appendChild(body);
+        return table;
+    }
+    
+    function formatKey(char) {
+        if (char === ' ') return I18n.t('key.space');
+        if (char === '\n') return I18n.t('key.enter');
+        if (char === '\t') return 'Tab';
+        return char;
+    }
+    
+    function formatLatency(latency) {
+        return latency === null ? '–' : I18n.t('analytics.ms', { latency });
+    }
+    
+    function formatRatio(ratio) {
+        return I18n.t('analytics.ratio', { ratio });
+    }
+    
+    /**
+     * Describe a report finding in a sentence
+     */
+    function describeInsight(insight) {
+        switch (insight.type) {
+            case 'transition':
+                return I18n.t('analytics.slowTransition', {
+                    ngram: insight.id,
+                    latency: insight.latency,
+                    ratio: insight.ratio
+                });
+            case 'finger':
+                return I18n.t('analytics.fingerErrors', {
+                    finger: I18n.t(`fingerName.${insight.id}`),
+                    ratio: insight.ratio
+                });
+            default:
+                return I18n.t('analytics.keyErrors', { key: formatKey(insight.id), ratio: insight.ratio });
+        }
+    }
+    
+    /**
+     * Render a TypingAnalytics report: findings, then the slowest
+     * transitions, most missed keys and every finger
+     */
+    function renderAnalytics(container, report) {
+        container.innerHTML = '';
+        
+        if (report.keys.length === 0) {
+            container.textContent = I18n.t('analytics.none');
+            return;
+        }
+        
+        if (report.insights.length > 0) {
+            const list = document.createElement('ul');
+            list.className = 'analytics-insights';
+            report.insights.forEach(insight => {
+                const item = document.createElement('li');
+                item.textContent = describeInsight(insight);
+                list.appendChild(item);
+            });
+            container.appendChild(list);
+        }
+        
+        const summary = document.createElement('p');
+        summary.className = 'analytics-summary';
+        summary.textContent = I18n.t('analytics.summary', {
+            latency: report.medianLatency,
+            errorRate: report.averageErrorRate
+        });
+        container.appendChild(summary);
+        
+        if (report.transitions.length > 0) {
+            container.appendChild(createTable('analytics-table',
+                ['analytics.transition', 'analytics.latency', 'analytics.vsMedian', 'analytics.errorRate'],
+                report.transitions.map(row => [
+                    row.id, formatLatency(row.latency), formatRatio(row.latencyRatio), `${row.errorRate}%`
+                ])));
+        }
+        
+        container.appendChild(createTable('analytics-table',
+            ['analytics.key', 'analytics.latency', 'analytics.errorRate', 'analytics.vsAverage'],
+            report.keys.map(row => [
+                formatKey(row.id), formatLatency(row.latency), `${row.errorRate}%`, formatRatio(row.errorRatio)
+            ])));
+        
+        if (report.fingers.length > 0) {
+            container.appendChild(createTable('analytics-table',
+                ['analytics.finger', 'analytics.latency', 'analytics.errorRate', 'analytics.vsAverage'],
+                report.fingers.map(row => [
+                    I18n.t(`fingerName.${row.id}`), formatLatency(row.latency), `${row.errorRate}%`, formatRatio(row.errorRatio)
+                ])));
+        }
+    }
+    
+    /**
+     * Load the history and render every chart in the progress view
+     */
+    function render(elements) {
+        return SessionHistory.getSessions().then(sessions => {
+            drawTrendChart(elements.trendChart, sessions);
+            drawPracticeHistogram(elements.practiceChart, sessions);
+            renderLessonBests(elements.lessonBests, sessions);
+            return sessions;
+        });
+    }
+    
+    /**
+     * Render a confusion report: how many mix-ups of each kind, then the
+     * most common substitutions
+     */
+    function renderConfusions(container, report) {
+        container.innerHTML = '';
+        
+        if (report.total === 0) {
+            container.textContent = I18n.t('confusion.none');
+            return;
+        }
+        
+        const summary = document.createElement('p');
+        summary.className = 'analytics-summary';
+        summary.textContent = Object.keys(report.byType)
+            .filter(type => report.byType[type] > 0)
+            .map(type => I18n.t('confusion.typeCount', {
+                type: I18n.t(`confusion.type.${type}`),
+                count: report.byType[type]
+            }))
+            .join(' · ');
+        container.appendChild(summary);
+        
+        container.appendChild(createTable('analytics-table',
+            ['confusion.expected', 'confusion.typed', 'confusion.count', 'confusion.kind'],
+            report.substitutions.map(row => [
+                formatKey(row.target), formatKey(row.typed), row.count, I18n.t(`confusion.type.${row.type}`)
+            ])));
+    }
+    
+    /**
+     * Show the final standings of a LAN race. Players who didn't finish
+     * are listed by how far they got.
+     */
+    function renderLeaderboard(container, leaderboard) {
+        container.innerHTML = '';
+        container.appendChild(createTable('analytics-table leaderboard-table',
+            ['race.place', 'race.player', 'race.wpm', 'race.accuracy', 'race.time'],
+            leaderboard.map(entry => entry.place === null ?
+                [I18n.t('race.dnf'), entry.name, '–', '–', `${entry.progress}%`] :
+                [entry.place, entry.name, entry.wpm, `${entry.accuracy}%`, (entry.timeMs / 1000).toFixed(1) + 's'])));
+    }
+    
+    return {
+        render,
+        drawTrendChart,
+        drawPracticeHistogram,
+        renderLessonBests,
+        renderAnalytics,
+        renderConfusions,
+        renderLeaderboard
+    };
+})();
+
+// ============================================================================
+// KEYBOARD LAYOUTS
+// ============================================================================
+
+const KeyboardLayouts = (function() {
+    'use strict';
+    
+    /**
+     * Character rows for each layout, unshifted and shifted.
+     * Rows are number, top, home and bottom, by physical key position,
+     * so finger assignments are shared by every layout.
+     */
+    const LAYOUTS = {
+        qwerty: {
+            name: 'QWERTY',
+            rows: ['`1234567890-=', 'qwertyuiop[]\\', "asdfghjkl;'", 'zxcvbnm,./'],
+            shiftRows: ['~!@#$%^&*()_+', 'QWERTYUIOP{}|', 'ASDFGHJKL:"', 'ZXCVBNM<>?']
+        },
+        dvorak: {
+            name: 'Dvorak',
+            rows: ['`1234567890[]', "',.pyfgcrl/=\\", 'aoeuidhtns-', ';qjkxbmwvz'],
+            shiftRows: ['~!@#$%^&*(){}', '"<>PYFGCRL?+|', 'AOEUIDHTNS_', ':QJKXBMWVZ']
+        },
+        colemak: {
+            name: 'Colemak',
+            rows: ['`1234567890-=', 'qwfpgjluy;[]\\', "arstdhneio'", 'zxcvbkm,./'],
+            shiftRows: ['~!@#$%^&*()_+', 'QWFPGJLUY:{}|', 'ARSTDHNEIO"', 'ZXCVBKM<>?']
+        },
+        workman: {
+            name: 'Workman',
+            rows: ['`1234567890-=', 'qdrwbjfup;[]\\', "ashtgyneoi'", 'zxmcvkl,./'],
+            shiftRows: ['~!@#$%^&*()_+', 'QDRWBJFUP:{}|', 'ASHTGYNEOI"', 'ZXMCVKL<>?']
+        },
+        azerty: {
+            name: 'AZERTY',
+            rows: ['²&é"\'(-è_çà)=', 'azertyuiop^$*', 'qsdfghjklmù', 'wxcvbn,;:!'],
+            // The ² key has no standard shifted character, so it repeats
+            shiftRows: ['²1234567890°+', 'AZERTYUIOP¨£µ', 'QSDFGHJKLM%', 'WXCVBN?./§']
+        }
+    };
+    
+    const DEFAULT_LAYOUT = 'qwerty';
+    const ROW_INDEX = { top: 1, home: 2, bottom: 3 };
+    const LESSON_LENGTH = 60;
+    
+    function get(layoutId) {
+        return LAYOUTS[layoutId] || LAYOUTS[DEFAULT_LAYOUT];
+    }
+    
+    function has(layoutId) {
+        return Object.prototype.hasOwnProperty.call(LAYOUTS, layoutId);
+    }
+    
+    function list() {
+        return Object.keys(LAYOUTS).map(id => ({ id, name: LAYOUTS[id].name }));
+    }
+    
+    /**
+     * Get the keys each hand rests on in a row: four for the left hand
+     * and four for the right, skipping the two index-finger stretch keys
+     */
+    function getRowGroups(layoutId, rowName) {
+        const row = get(layoutId).rows[ROW_INDEX[rowName]];
+        return {
+            left: row.slice(0, 4),
+            right: row.slice(6, 10),
+            all: row.slice(0, 10)
+        };
+    }
+    
+    function letters(chars) {
+        return [...chars].filter(char => char.toLowerCase() !== char.toUpperCase());
+    }
+    
+    /**
+     * Order words deterministically but not alphabetically, so lessons
+     * stay the same between visits without reading like a word list
+     */
+    function scatter(words) {
+        const hash = word => [...word].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) % 9973, 7);
+        return words.slice().sort((a, b) => hash(a) - hash(b));
+    }
+    
+    /**
+     * Pair mirrored fingers of both hands (e.g. "fj dk sl a;"). Used instead of
+     * words when the dictionary has none for a row, as with the AZERTY home row.
+     */
+    function pairDrill(group) {
+        const pairs = [];
+        for (let i = 0; i < 4; i++) {
+            const left = group.left[3 - i];
+            const right = group.right[i];
+            pairs.push(left + right, right + left, left + left + right + right);
+        }
+        return pairs;
+    }
+    
+    function wordsOrPairs(words, group) {
+        return words.length > 0 ? words : pairDrill(group);
+    }
+    
+    /**
+     * Build lesson text from key groups followed by words, trimmed to whole words
+     */
+    function buildText(drill, words, length = LESSON_LENGTH) {
+        const parts = drill.slice();
+        let textLength = parts.join(' ').length;
+        
+        for (const word of words) {
+            if (textLength + 1 + word.length > length) break;
+            parts.push(word);
+            textLength += 1 + word.length;
+        }
+        return parts.join(' ');
+    }
+    
+    /**
+     * Generate the row-based beginner curriculum for a layout, from the
+     * home row outward. Words are drawn from the dictionary so every lesson
+     * only uses keys taught so far.
+     */
+    function buildBeginnerLessons(layoutId) {
+        const home = getRowGroups(layoutId, 'home');
+        const top = getRowGroups(layoutId, 'top');
+        const bottom = getRowGroups(layoutId, 'bottom');
+        
+        const homeLetters = letters(home.all);
+        const topLetters = letters(top.all);
+        const bottomLetters = letters(bottom.all);
+        
+        const homeWords = wordsOrPairs(scatter(AdaptiveEngine.findWords(homeLetters, homeLetters)), home);
+        const topWords = wordsOrPairs(scatter(AdaptiveEngine.findWords(
+            homeLetters.concat(topLetters), topLetters)), top);
+        const bottomWords = wordsOrPairs(scatter(AdaptiveEngine.findWords(
+            homeLetters.concat(topLetters, bottomLetters), bottomLetters)), bottom);
+        
+        const label = group => `${group.left.toUpperCase()} ${group.right.toUpperCase()}`;
+        
+        return [
+            {
+                id: 'home-row-1',
+                title: 'Home Row Basics',
+                description: `Learn the foundation: ${label(home)}`,
+                text: buildText([home.left, home.right, home.left, home.right], homeWords)
+            },
+            {
+                id: 'home-row-2',
+                title: 'Home Row Words',
+                description: 'Simple words using home row keys',
+                text: buildText([], homeWords.slice().reverse())
+            },
+            {
+                id: 'top-row-1',
+                title: 'Top Row Introduction',
+                description: `Add ${label(top)} to your skills`,
+                text: buildText([top.left, top.right], topWords)
+            },
+            {
+                id: 'top-row-2',
+                title: 'Top Row Practice',
+                description: 'Combine home and top rows',
+                text: buildText([], topWords.slice().reverse())
+            },
+            {
+                id: 'bottom-row-1',
+                title: 'Bottom Row Basics',
+                description: `Master ${label(bottom)}`,
+                text: buildText([bottom.left, bottom.right], bottomWords)
+            }
+        ];
+    }
+    
+    return {
+        DEFAULT_LAYOUT,
+        get,
+        has,
+        list,
+        buildBeginnerLessons
+    };
+})();
+
+// ============================================================================
+// CURRICULUM DATA
+// ============================================================================
+
+/**
+ * Built-in lessons by level. Beginner lessons are generated from the
+ * selected keyboard layout by KeyboardLayouts.buildBeginnerLessons.
+ */
+const CurriculumData = {
+    intermediate: [
+        {
+            id: 'numbers-1',
+            title: 'Number Row',
+            description: 'Learn to type numbers 1234567890',
+            text: '1234567890 phone 555-0123 year 2024 price $19.99 code 4567'
+        },
+        {
+            id: 'punctuation-1',
+            title: 'Basic Punctuation',
+            description: 'Master common punctuation marks',
+            text: 'Hello, world! How are you? I am fine. Let us go; it is time.'
+        },
+        {
+            id: 'capitals-1',
+            title: 'Capital Letters',
+            description: 'Practice proper capitalization',
+            text: 'John Smith lives in New York. He works at Apple Inc. on Monday.'
+        },
+        {
+            id: 'mixed-practice-1',
+            title: 'Mixed Practice',
+            description: 'Combine letters, numbers, and punctuation',
+            text: 'The meeting is at 3:30 PM on March 15th, 2024. Call (555) 123-4567.'
+        },
+        {
+            id: 'common-words',
+            title: 'Common Words',
+            description: 'Practice frequently used English words',
+            text: 'about after again against all almost alone along already also although always among'
+        }
+    ],
+    advanced: [
+        {
+            id: 'symbols-1',
+            title: 'Special Symbols',
+            description: 'Master special characters and symbols',
+            text: 'Email: user@domain.com Password: P@ssw0rd! Cost: $29.99 (tax included)'
+        },
+        {
+            id: 'programming-1',
+            title: 'Programming Syntax',
+            description: 'Practice common programming patterns',
+            text: 'function calculateTotal(price, tax) { return price * (1 + tax); }'
+        },
+        {
+            id: 'business-text',
+            title: 'Business Writing',
+            description: 'Professional communication practice',
+            text: 'Dear Mr. Johnson, Thank you for your inquiry regarding our services. We would be pleased to schedule a consultation at your convenience.'
+        },
+        {
+            id: 'technical-text',
+            title: 'Technical Documentation',
+            description: 'Practice technical writing patterns',
+            text: 'The API endpoint accepts HTTP POST requests with JSON payload containing user credentials and returns authentication tokens with 24-hour expiration.'
+        },
+        {
+            id: 'speed-drill',
+            title: 'Speed Building',
+            description: 'Focus on increasing typing speed',
+            text: 'the quick brown fox jumps over the lazy dog pack my box with five dozen liquor jugs'
+        }
+    ],
+    master: [
+        {
+            id: 'literature-1',
+            title: 'Classic Literature',
+            description: 'Type excerpts from famous works',
+            text: 'It was the best of times, it was the worst of times, it was the age of wisdom, it was the age of foolishness, it was the epoch of belief, it was the epoch of incredulity.'
+        },
+        {
+            id: 'scientific-text',
+            title: 'Scientific Writing',
+            description: 'Practice complex scientific terminology',
+            text: 'The mitochondria, often referred to as the powerhouse of the cell, are responsible for producing adenosine triphosphate (ATP) through cellular respiration.'
+        },
+        {
+            id: 'legal-text',
+            title: 'Legal Documents',
+            description: 'Master formal legal language',
+            text: 'Whereas the parties hereto desire to enter into this agreement, and whereas each party has the requisite corporate power and authority to enter into this agreement.'
+        },
+        {
+            id: 'code-complex',
+            title: 'Complex Programming',
+            description: 'Advanced programming constructs',
+            text: 'const asyncFunction = async (data) => { try { const result = await fetch("/api/data", { method: "POST", body: JSON.stringify(data) }); return result.json(); } catch (error) { console.error(error); } };'
+        },
+        {
+            id: 'speed-master',
+            title: 'Master Speed Test',
+            description: 'Ultimate speed and accuracy challenge',
+            text: 'Mastery requires dedication, practice, and persistence. Every keystroke builds muscle memory. Every error teaches precision. Speed without accuracy is meaningless. Accuracy without speed is incomplete. True mastery balances both.'
+        }
+    ]
+};
+
+// ============================================================================
+// CODE SNIPPETS
+// ============================================================================
+
+/**
+ * Language packs for code mode. Snippets are multi-line with
+ * four-space indentation, joined with newlines.
+ */
+const CodeSnippets = {
+    javascript: {
+        name: 'JavaScript',
+        snippets: [
+            {
+                id: 'js-function',
+                title: 'Function with Default Parameters',
+                text: [
+                    'function greet(name = "world") {',
+                    '    const message = `Hello, ${name}!`;',
+                    '    return message;',
+                    '}'
+                ].join('\n')
+            },
+            {
+                id: 'js-array-methods',
+                title: 'Array Methods',
+                text: [
+                    'const totals = orders',
+                    '    .filter(order => order.paid && order.items.length > 0)',
+                    '    .map(order => order.price * (1 + order.tax))',
+                    '    .reduce((sum, value) => sum + value, 0);'
+                ].join('\n')
+            },
+            {
+                id: 'js-async',
+                title: 'Async Fetch',
+                text: [
+                    'async function loadUser(id) {',
+                    '    try {',
+                    '        const response = await fetch(`/api/users/${id}`);',
+                    '        if (!response.ok) throw new Error(response.statusText);',
+                    '        return await response.json();',
+                    '    } catch (error) {',
+                    '        console.error(error);',
+                    '        return null;',
+                    '    }',
+                    '}'
+                ].join('\n')
+            },
+            {
+                id: 'js-class',
+                title: 'Class with Getter',
+                text: [
+                    'class Counter {',
+                    '    #count = 0;',
+                    '',
+                    '    increment(step = 1) {',
+                    '        this.#count += step;',
+                    '        return this;',
+                    '    }',
+                    '',
+                    '    get value() {',
+                    '        return this.#count;',
+                    '    }',
+                    '}'
+                ].join('\n')
+            }
+        ]
+    },
+    python: {
+        name: 'Python',
+        snippets: [
+            {
+                id: 'py-function',
+                title: 'Function with Docstring',
+                text: [
+                    'def average(values):',
+                    '    """Return the mean of a list of numbers."""',
+                    '    if not values:',
+                    '        return 0.0',
+                    '    return sum(values) / len(values)'
+                ].join('\n')
+            },
+            {
+                id: 'py-comprehension',
+                title: 'Comprehensions',
+                text: [
+                    'squares = [n ** 2 for n in range(10) if n % 2 == 0]',
+                    'lookup = {word: len(word) for word in ["alpha", "beta"]}',
+                    'print(squares, lookup)'
+                ].join('\n')
+            },
+            {
+                id: 'py-class',
+                title: 'Dataclass',
+                text: [
+                    'from dataclasses import dataclass, field',
+                    '',
+                    '@dataclass',
+                    'class Order:',
+                    '    price: float',
+                    '    items: list[str] = field(default_factory=list)',
+                    '',
+                    '    def total(self, tax: float = 0.2) -> float:',
+                    '        return self.price * (1 + tax)'
+                ].join('\n')
+            },
+            {
+                id: 'py-context',
+                title: 'File Handling',
+                text: [
+                    'with open("data.csv", encoding="utf-8") as handle:',
+                    '    for line in handle:',
+                    '        name, score = line.strip().split(",")',
+                    '        if int(score) >= 50:',
+                    '            print(f"{name}: passed")'
+                ].join('\n')
+            }
+        ]
+    },
+    sql: {
+        name: 'SQL',
+        snippets: [
+            {
+                id: 'sql-select',
+                title: 'Select with Filter',
+                text: [
+                    'SELECT id, name, email',
+                    'FROM users',
+                    "WHERE active = 1 AND created_at >= '2024-01-01'",
+                    'ORDER BY name ASC;'
+                ].join('\n')
+            },
+            {
+                id: 'sql-join',
+                title: 'Join and Group',
+                text: [
+                    'SELECT c.name, COUNT(o.id) AS orders, SUM(o.total) AS revenue',
+                    'FROM customers c',
+                    '    LEFT JOIN orders o ON o.customer_id = c.id',
+                    'GROUP BY c.name',
+                    'HAVING SUM(o.total) > 1000;'
+                ].join('\n')
+            },
+            {
+                id: 'sql-create',
+                title: 'Create Table',
+                text: [
+                    'CREATE TABLE products (',
+                    '    id INTEGER PRIMARY KEY,',
+                    '    name VARCHAR(100) NOT NULL,',
+                    '    price DECIMAL(10, 2) CHECK (price >= 0)',
+                    ');'
+                ].join('\n')
+            },
+            {
+                id: 'sql-update',
+                title: 'Update with Subquery',
+                text: [
+                    'UPDATE accounts',
+                    'SET balance = balance * 1.05',
+                    'WHERE id IN (',
+                    '    SELECT account_id FROM deposits WHERE amount > 500',
+                    ');'
+                ].join('\n')
+            }
+        ]
+    }
+};
+
+// ============================================================================
+// CUSTOM LESSONS
+// ============================================================================
+
+const CustomLessons = (function() {
+    'use strict';
+    
+    const STORAGE_KEY = 'typingCustomLessons';
+    const COURSE_FORMAT = 'sharp-typing-course';
+    const COURSE_VERSION = 1;
+    const CHUNK_LENGTH = 250;
+    const LEVELS = ['beginner', 'intermediate', 'advanced', 'master'];
+    
+    // Custom lessons belong to the active learner profile
+    function load() {
+        return JSON.parse(DurableStorage.getItem(LearnerProfiles.storageKey(STORAGE_KEY)) || '[]');
+    }
+    
+    function save(lessons) {
+        DurableStorage.setItem(LearnerProfiles.storageKey(STORAGE_KEY), JSON.stringify(lessons));
+    }
+    
+    function createId() {
+        return `custom-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    }
+    
+    /**
+     * Collapse whitespace so lesson text types as a single line
+     */
+    function normalizeText(text) {
+        return text.replace(/\s+/g, ' ').trim();
+    }
+    
+    /**
+     * Validate lesson fields and return a clean lesson, throwing on invalid input
+     */
+    function sanitizeLesson(fields) {
+        const title = String(fields.title || '').trim();
+        const text = normalizeText(String(fields.text || ''));
+        
+        if (!title) throw new Error('error.lessonTitleRequired');
+        if (!text) throw new Error('error.lessonTextRequired');
+        
+        return {
+            title,
+            description: String(fields.description || '').trim() || 'Custom lesson',
+            text,
+            level: LEVELS.includes(fields.level) ? fields.level : 'beginner'
+        };
+    }
+    
+    function getAll() {
+        return load();
+    }
+    
+    function getByLevel(level) {
+        return load()
+            .filter(lesson => lesson.level === level)
+            .map(lesson => ({ ...lesson, custom: true }));
+    }
+    
+    function add(fields) {
+        const lesson = { id: createId(), ...sanitizeLesson(fields) };
+        const lessons = load();
+        lessons.push(lesson);
+        save(lessons);
+        return lesson;
+    }
+    
+    function update(id, fields) {
+        const lessons = load();
+        const index = lessons.findIndex(lesson => lesson.id === id);
+        if (index === -1) throw new Error('error.lessonMissing');
+        
+        lessons[index] = { id, ...sanitizeLesson(fields) };
+        save(lessons);
+        return lessons[index];
+    }
+    
+    function remove(id) {
+        save(load().filter(lesson => lesson.id !== id));
+    }
+    
+    /**
+     * Reduce Markdown to the plain text a reader would see
+     */
+    function stripMarkdown(text) {
+        return text
+            .replace(/```[\s\S]*?```/g, '')
+            .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+            .replace(/(\*\*|__|\*|_|`|~~)(.+?)\1/g, '$2')
+            .replace(/^\s*([-*_]\s*){3,}$/gm, '');
+    }
+    
+    /**
+     * Split text into lesson-sized chunks on sentence boundaries
+     */
+    function splitIntoChunks(text, chunkLength = CHUNK_LENGTH) {
+        const sentences = normalizeText(text).match(/[^.!?]+[.!?]+["')\]]*|[^.!?]+$/g) || [];
+        const chunks = [];
+        let chunk = '';
+        
+        sentences.forEach(sentence => {
+            const trimmed = sentence.trim();
+            if (!trimmed) return;
+            
+            if (chunk && chunk.length + 1 + trimmed.length > chunkLength) {
+                chunks.push(chunk);
+                chunk = '';
+            }
+            chunk = chunk ? `${chunk} ${trimmed}` : trimmed;
+        });
+        
+        if (chunk) chunks.push(chunk);
+        return chunks;
+    }
+    
+    /**
+     * Create one lesson per chunk of a longer text
+     * @returns {Array} The created lessons
+     */
+    function addFromText(fields, isMarkdown = false) {
+        const source = isMarkdown ? stripMarkdown(String(fields.text || '')) : String(fields.text || '');
+        const chunks = splitIntoChunks(source);
+        if (chunks.length === 0) throw new Error('error.lessonTextRequired');
+        
+        const created = chunks.map((chunk, index) => ({
+            id: createId() + index,
+            ...sanitizeLesson({
+                ...fields,
+                title: chunks.length > 1 ? `${fields.title} (${index + 1}/${chunks.length})` : fields.title,
+                text: chunk
+            })
+        }));
+        
+        save(load().concat(created));
+        return created;
+    }
+    
+    /**
+     * Serialize all custom lessons as a course file
+     */
+    function exportCourse(title = 'My Typing Course') {
+        return JSON.stringify({
+            format: COURSE_FORMAT,
+            version: COURSE_VERSION,
+            title,
+            exportedAt: new Date().toISOString(),
+            lessons: load().map(({ title, description, text, level }) => ({ title, description, text, level }))
+        }, null, 2);
+    }
+    
+    /**
+     * Add every lesson from a course file, throwing if the file is not a course
+     * @returns {number} Number of lessons imported
+     */
+    function importCourse(json) {
+        let course;
+        try {
+            course = JSON.parse(json);
+        } catch (error) {
+            throw new Error('error.invalidJson');
+        }
+        
+        if (!course || course.format !== COURSE_FORMAT || !Array.isArray(course.lessons)) {
+            throw new Error('error.notCourse');
+        }
+        if (course.version > COURSE_VERSION) {
+            throw new Error('error.courseTooNew');
+        }
+        
+        return importLessons(course.lessons);
+    }
+    
+    /**
+     * Add lessons from a course or profile backup
+     * @returns {number} Number of lessons imported
+     */
+    function importLessons(lessons) {
+        const imported = lessons.map(lesson => ({ id: createId(), ...sanitizeLesson(lesson) }));
+        save(load().concat(imported));
+        return imported.length;
+    }
+    
+    return {
+        getAll,
+        getByLevel,
+        add,
+        addFromText,
+        update,
+        remove,
+        splitIntoChunks,
+        stripMarkdown,
+        exportCourse,
+        importCourse,
+        importLessons
+    };
+})();
+
+// ============================================================================
+// COACH PERSONALITIES
+// ============================================================================
+
+/**
+ * Built-in coach packs. Messages are grouped by situation and may use
+ * placeholders filled from the session: {wpm}, {accuracy}, {improvement},
+ * {previousWPM}, {errors}, {key}, {misses} and {previousMisses}.
+ * Situations a pack leaves out fall back to the neutral coach.
+ *
+ * Packs loaded from JSON use the same shape:
+ * { "format": "sharp-typing-coach", "version": 1, "name": "...", "messages": { "praise": [...] } }
+ */
+const CoachPacks = {
+    neutral: {
+        name: 'Neutral',
+        messages: {
+            stagnant: [
+                "Your speed has held at {wpm} WPM for a few sessions. Try a drill on your weak keys.",
+                "{wpm} WPM again. A timed test or a harder lesson may help you break through."
+            ],
+            praise: [
+                "{wpm} WPM at {accuracy}% accuracy. Well done.",
+                "Session complete: {wpm} WPM with {accuracy}% accuracy."
+            ],
+            good: ["Good work! Keep practicing to improve your speed."],
+            focus: ["Focus on accuracy first, then speed will follow naturally."],
+            struggling: ["Take your time and focus on hitting the right keys."],
+            weakKey: ["You missed '{key}' {misses} times."],
+            weakKeyWorse: ["You missed '{key}' {misses} times, up from {previousMisses}."]
+        }
+    },
+    encouraging: {
+        name: 'Encouraging',
+        messages: {
+            stagnant: [
+                "Plateaus are part of learning. {wpm} WPM is a solid base. You've got this!",
+                "Steady at {wpm} WPM. Keep showing up and the next jump will come!"
+            ],
+            praise: [
+                "Sharp! Well done—you're improving steadily!",
+                "Excellent progress! Your fingers are getting sharper!",
+                "Outstanding accuracy! Keep up the fantastic work!",
+                "Impressive speed improvement! You're on fire!",
+                "Perfect! Your muscle memory is developing beautifully!",
+                "Brilliant typing! You're becoming a true master!",
+                "Superb performance! Your dedication is paying off!",
+                "Magnificent! Your typing skills are truly sharp!",
+                "Exceptional work! You're reaching new heights!",
+                "Phenomenal! You've mastered this level completely!"
+            ],
+            good: ["Nice session at {wpm} WPM! Every lesson makes you faster."],
+            focus: ["{accuracy}% accuracy is a good start. Slow down a little and it will climb!"],
+            struggling: ["Don't worry about speed yet. Hitting the right keys is what counts!"],
+            weakKey: ["Keep an eye on '{key}'. It tripped you up {misses} times, and practice will fix that!"],
+            weakKeyWorse: ["'{key}' got you {misses} times (up from {previousMisses}). A quick drill will sort it out!"]
+        }
+    },
+    pidgin: {
+        name: 'Caustic Pidgin',
+        messages: {
+            // Nigerian Pidgin + English caustic remarks for motivation,
+            // delivered after 3 stagnant sessions to encourage improvement
+            stagnant: [
+                "Omo, you dey slow like snail—try small jare!",
+                "Accuracy don fall o—no dull yourself abeg!",
+                "No be slack, make those keystrokes sharp sharp!",
+                "Your fingers dey sleep? Wake them up make we see fire!",
+                "This typing speed no good at all—you fit do better!",
+                "Wetin happen to your accuracy? Focus small na!",
+                "You dey type like say na first time—sharpen up!",
+                "Speed don reduce o—where the energy wey you get before?",
+                "Make you no give up now—practice makes perfect!",
+                "Your typing game weak—time to level up seriously!"
+            ],
+            praise: [
+                "Sharp! Well done—you're improving steadily!",
+                "Excellent progress! Your fingers are getting sharper!",
+                "Outstanding accuracy! Keep up the fantastic work!",
+                "Impressive speed improvement! You're on fire!",
+                "Magnificent! Your typing skills are truly sharp!"
+            ],
+            weakKey: ["Na '{key}' dey worry you—you miss am {misses} times!"],
+            weakKeyWorse: ["Omo, you miss '{key}' {misses} times—before na {previousMisses}. Wetin dey happen?"]
+        }
+    },
+    sergeant: {
+        name: 'Drill Sergeant',
+        messages: {
+            stagnant: [
+                "{wpm} WPM AGAIN? Did I say you could stand still, recruit? Drop and give me twenty lessons!",
+                "Same {wpm} WPM as yesterday. The enemy is not waiting for you to improve!"
+            ],
+            praise: [
+                "{wpm} WPM at {accuracy}%. Acceptable. Don't let it go to your head.",
+                "Not bad, recruit. {wpm} WPM. Now do it again, faster!"
+            ],
+            good: ["{wpm} WPM. Mediocre. Again!"],
+            focus: ["{accuracy}% accuracy? On my watch, every key hits its target!"],
+            struggling: ["{errors} mistakes! Slow down and hit the right keys, recruit!"],
+            weakKey: ["'{key}' beat you {misses} times. That key is now your enemy. Drill it!"],
+            weakKeyWorse: ["'{key}': {misses} misses, up from {previousMisses}! You are going BACKWARDS, recruit!"]
+        }
+    }
+};
+
+// ============================================================================
+// FEEDBACK SYSTEM
+// ============================================================================
+
+const FeedbackSystem = (function() {
+    'use strict';
+    
+    /**
+     * Achievement rules. Each rule has a type:
+     * - sessions: complete `target` lessons, optionally at one `level`
+     * - best: reach `target` for a metric (wpm or accuracy), optionally on one `lessonId`
+     * - streak: complete `target` lessons in a row with the metric at least `min`
+     * - days: meet the daily goal `target` days in a row
+     * Names and descriptions are in the locales as badge.<id>.name and
+     * badge.<id>.description.
+     */
+    const ACHIEVEMENTS = [
+        { id: 'first-lesson', icon: '🎯', type: 'sessions', target: 1 },
+        { id: 'persistent', icon: '💪', type: 'sessions', target: 10 },
+        { id: 'dedicated', icon: '🌟', type: 'sessions', target: 25 },
+        { id: 'wpm-20', icon: '🚀', type: 'best', metric: 'wpm', target: 20 },
+        { id: 'wpm-40', icon: '⚡', type: 'best', metric: 'wpm', target: 40 },
+        { id: 'wpm-60', icon: '🔥', type: 'best', metric: 'wpm', target: 60 },
+        { id: 'wpm-80', icon: '💨', type: 'best', metric: 'wpm', target: 80 },
+        { id: 'accuracy-90', icon: '🎯', type: 'best', metric: 'accuracy', target: 90 },
+        { id: 'accuracy-95', icon: '🏆', type: 'best', metric: 'accuracy', target: 95 },
+        { id: 'perfectionist', icon: '💎', type: 'best', metric: 'accuracy', target: 100 },
+        { id: 'home-row-hero', icon: '🏠', type: 'best', metric: 'wpm', lessonId: 'home-row-1', target: 25 },
+        { id: 'steady-hands', icon: '🧘', type: 'streak', metric: 'accuracy', min: 95, target: 5 },
+        { id: 'on-a-roll', icon: '🎳', type: 'streak', metric: 'wpm', min: 40, target: 3 },
+        { id: 'advanced-regular', icon: '📚', type: 'sessions', level: 'advanced', target: 10 },
+        { id: 'master', icon: '👑', type: 'sessions', level: 'master', target: 1 },
+        { id: 'streak-3', icon: '📅', type: 'days', target: 3 },
+        { id: 'streak-7', icon: '🗓️', type: 'days', target: 7 },
+        { id: 'streak-30', icon: '🏅', type: 'days', target: 30 }
+    ];
+    
+    let state = createState();
+    let reducedMotion = false;
+    
+    const COACH_STORAGE_KEY = 'typingCoachPacks';
+    const COACH_FORMAT = 'sharp-typing-coach';
+    const COACH_VERSION = 1;
+    const DEFAULT_COACH = 'pidgin';
+    
+    // Only this many misses of one key earn a mention in the feedback
+    const WEAK_KEY_MIN_MISSES = 3;
+    
+    let coachId = DEFAULT_COACH;
+    
+    function createState() {
+        return {
+            earned: {},             // Achievement id -> date earned
+            sessions: { all: 0 },   // Completed lessons, in total and per level
+            best: {},               // Best values per metric, overall ('wpm') and per lesson ('wpm:home-row-1')
+            streaks: {},            // Current run length per streak rule
+            dayStreak: 0,           // Longest run of days meeting the daily goal
+            lastWPM: 0,
+            stagnantSessions: 0,
+            lastErrorsByKey: {}     // Misses per key in the previous session
+        };
+    }
+    
+    /**
+     * Restore a learner's achievements from saved progress. Progress saved
+     * before achievements were persisted only has badge ids and totals.
+     */
+    function loadState(progress = {}) {
+        state = createState();
+        
+        if (progress.achievements) {
+            Object.assign(state, progress.achievements);
+            return;
+        }
+        
+        (progress.earnedBadges || []).forEach(badgeId => {
+            state.earned[badgeId] = null;
+        });
+        state.sessions.all = progress.totalSessions || 0;
+        state.best.wpm = progress.bestWPM || 0;
+        state.best.accuracy = progress.bestAccuracy || 0;
+        state.lastWPM = progress.lastWPM || 0;
+        
+        // Badges lost to the old reload bug are restored from the saved totals
+        ACHIEVEMENTS.forEach(rule => {
+            if (!(rule.id in state.earned) && getRuleValue(rule) >= rule.target) {
+                state.earned[rule.id] = null;
+            }
+        });
+    }
+    
+    /**
+     * Get a copy of the achievement state to save with progress
+     */
+    function getState() {
+        return JSON.parse(JSON.stringify(state));
+    }
+    
+    /**
+     * Update session counts, bests and streaks with a finished lesson
+     */
+    function recordSession(metrics, level, lessonId, dayStreak) {
+        const values = { wpm: metrics.finalWPM, accuracy: metrics.finalAccuracy };
+        
+        state.dayStreak = Math.max(state.dayStreak, dayStreak || 0);
+        state.sessions.all++;
+        state.sessions[level] = (state.sessions[level] || 0) + 1;
+        
+        Object.keys(values).forEach(metric => {
+            [metric, `${metric}:${lessonId}`].forEach(key => {
+                state.best[key] = Math.max(state.best[key] || 0, values[metric]);
+            });
+        });
+        
+        ACHIEVEMENTS.filter(rule => rule.type === 'streak').forEach(rule => {
+            state.streaks[rule.id] = values[rule.metric] >= rule.min ? (state.streaks[rule.id] || 0) + 1 : 0;
+        });
+    }
+    
+    /**
+     * Get the learner's current value for an achievement rule
+     */
+    function getRuleValue(rule) {
+        switch (rule.type) {
+            case 'sessions':
+                return state.sessions[rule.level || 'all'] || 0;
+            case 'best':
+                return state.best[rule.lessonId ? `${rule.metric}:${rule.lessonId}` : rule.metric] || 0;
+            case 'streak':
+                return state.streaks[rule.id] || 0;
+            case 'days':
+                return state.dayStreak;
+            default:
+                return 0;
+        }
+    }
+    
+    /**
+     * Record a finished lesson and return the ids of newly earned badges
+     * @param {Object} metrics - Final session metrics
+     * @param {Object} context - level and lessonId of the finished lesson, longest daily goal streak
+     */
+    function checkForBadges(metrics, { level, lessonId, dayStreak }) {
+        recordSession(metrics, level, lessonId, dayStreak);
+        
+        const earnedAt = new Date().toISOString();
+        return ACHIEVEMENTS
+            .filter(rule => !(rule.id in state.earned) && getRuleValue(rule) >= rule.target)
+            .map(rule => {
+                state.earned[rule.id] = earnedAt;
+                return rule.id;
+            });
+    }
+    
+    function getBadgeName(rule) {
+        return `${rule.icon} ${I18n.t(`badge.${rule.id}.name`)}`;
+    }
+    
+    /**
+     * Get every achievement with the learner's progress toward it
+     */
+    function getAchievements() {
+        return ACHIEVEMENTS.map(rule => {
+            const current = Math.min(getRuleValue(rule), rule.target);
+            return {
+                id: rule.id,
+                name: getBadgeName(rule),
+                description: I18n.t(`badge.${rule.id}.description`),
+                earned: rule.id in state.earned,
+                current,
+                target: rule.target,
+                percent: Math.round(current / rule.target * 100)
+            };
+        });
+    }
+    
+    /**
+     * Coach packs loaded from JSON files, shared by all learners
+     */
+    function loadCoachPacks() {
+        return JSON.parse(DurableStorage.getItem(COACH_STORAGE_KEY) || '{}');
+    }
+    
+    function getCoachPack(id) {
+        return CoachPacks[id] || loadCoachPacks()[id] || CoachPacks[DEFAULT_COACH];
+    }
+    
+    /**
+     * Get the built-in and loaded coaches
+     * @returns {Array} id and name of each coach
+     */
+    function getCoaches() {
+        const packs = { ...CoachPacks, ...loadCoachPacks() };
+        return Object.keys(packs).map(id => ({ id, name: packs[id].name }));
+    }
+    
+    function getCoach() {
+        return coachId;
+    }
+    
+    function setCoach(id) {
+        coachId = CoachPacks[id] || loadCoachPacks()[id] ? id : DEFAULT_COACH;
+    }
+    
+    /**
+     * Add a coach pack from a JSON file, replacing a loaded pack with the
+     * same name. Throws if the file is not a coach pack.
+     * @returns {Object} id and name of the added coach
+     */
+    function addCoachPack(json) {
+        let pack;
+        try {
+            pack = JSON.parse(json);
+        } catch (error) {
+            throw new Error('error.invalidJson');
+        }
+        
+        if (!pack || pack.format !== COACH_FORMAT || !pack.messages || typeof pack.messages !== 'object') {
+            throw new Error('error.notCoachPack');
+        }
+        if (pack.version > COACH_VERSION) {
+            throw new Error('error.coachPackTooNew');
+        }
+        
+        const name = String(pack.name || '').trim();
+        if (!name) {
+            throw new Error('error.coachPackName');
+        }
+        
+        // Keep only the known situations with at least one message
+        const messages = {};
+        Object.keys(CoachPacks.neutral.messages).forEach(situation => {
+            const list = Array.isArray(pack.messages[situation]) ? pack.messages[situation] : [];
+            const templates = list.filter(message => typeof message === 'string' && message.trim());
+            if (templates.length > 0) {
+                messages[situation] = templates;
+            }
+        });
+        if (Object.keys(messages).length === 0) {
+            throw new Error('error.coachPackEmpty');
+        }
+        
+        // Hashing the name gives names in any script their own id
+        const id = `pack-${GhostRacer.fingerprint(name.toLowerCase())}`;
+        const packs = loadCoachPacks();
+        packs[id] = { name, messages };
+        DurableStorage.setItem(COACH_STORAGE_KEY, JSON.stringify(packs));
+        return { id, name };
+    }
+    
+    /**
+     * Pick a random message for a situation from the current coach
+     */
+    function pickMessage(situation, values) {
+        const pack = getCoachPack(coachId);
+        const templates = pack.messages[situation] || CoachPacks.neutral.messages[situation];
+        const template = templates[Math.floor(Math.random() * templates.length)];
+        return template.replace(/\{(\w+)\}/g, (match, name) => (Object.prototype.hasOwnProperty.call(values, name) ? values[name] : match));
+    }
+    
+    /**
+     * Find the key missed most often this session, if it was missed often enough to mention
+     */
+    function findWeakKey(errorsByKey) {
+        const [key, misses] = Object.entries(errorsByKey || {})
+            .sort((a, b) => b[1] - a[1])[0] || [];
+        return misses >= WEAK_KEY_MIN_MISSES ? { key, misses } : null;
+    }
+    
+    /**
+     * Generate performance feedback message in the current coach's voice
+     */
+    function generateFeedbackMessage(metrics, improvement) {
+        const previousWPM = state.lastWPM;
+        const previousErrors = state.lastErrorsByKey || {};
+        
+        // Check for stagnation (no improvement in WPM)
+        if (Math.abs(metrics.wpm - state.lastWPM) < 2) {
+            state.stagnantSessions++;
+        } else {
+            state.stagnantSessions = 0;
+        }
+        state.lastWPM = metrics.wpm;
+        state.lastErrorsByKey = { ...metrics.errorsByKey };
+        
+        const values = {
+            wpm: Math.round(metrics.wpm),
+            accuracy: Math.round(metrics.accuracy),
+            improvement: Math.round(improvement),
+            previousWPM: Math.round(previousWPM),
+            errors: Object.values(metrics.errorsByKey || {}).reduce((sum, count) => sum + count, 0)
+        };
+        
+        let situation;
+        if (state.stagnantSessions >= 3) {
+            // Deliver a stagnation remark after 3 stagnant sessions
+            state.stagnantSessions = 0; // Reset counter
+            situation = 'stagnant';
+        } else if (metrics.accuracy >= 90 || improvement > 5) {
+            situation = 'praise';
+        } else if (metrics.accuracy >= 85) {
+            situation = 'good';
+        } else if (metrics.accuracy >= 70) {
+            situation = 'focus';
+        } else {
+            situation = 'struggling';
+        }
+        
+        let message = pickMessage(situation, values);
+        
+        // Call out the most-missed key, comparing with the previous session
+        const weakKey = findWeakKey(metrics.errorsByKey);
+        if (weakKey) {
+            const previousMisses = previousErrors[weakKey.key] || 0;
+            const keyValues = {
+                ...values,
+                key: weakKey.key === ' ' ? 'space' : weakKey.key,
+                misses: weakKey.misses,
+                previousMisses
+            };
+            message += ' ' + pickMessage(previousMisses > 0 && weakKey.misses > previousMisses ? 'weakKeyWorse' : 'weakKey', keyValues);
+        }
+        
+        return message;
+    }
+    
+    /**
+     * Reduce motion when the learner asks for it in the app or the system does
+     */
+    function setReducedMotion(enabled) {
+        reducedMotion = enabled;
+    }
+    
+    function prefersReducedMotion() {
+        return reducedMotion ||
+            (typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+    }
+    
+    /**
+     * Create confetti animation. Skipped entirely with reduced motion.
+     */
+    function showConfetti() {
+        if (prefersReducedMotion()) return;
+        
+        const container = document.getElementById('confetti-container');
+        container.innerHTML = '';
+        
         for (let i = 0; i < 50; i++) {
             const confetti = document.createElement('div');
             confetti.className = 'confetti-piece';
@@ -531,370 +3563,3613 @@ const FeedbackSystem = (function() {
             container.appendChild(confetti);
         }
         
-        // Clean up after animation
-        setTimeout(() => {
-            container.innerHTML = '';
-        }, 5000);
+        // Clean up after animation
+        setTimeout(() => {
+            container.innerHTML = '';
+        }, 5000);
+    }
+    
+    /**
+     * Show badge notification
+     */
+    function showBadgeNotification(badgeId) {
+        const badge = ACHIEVEMENTS.find(rule => rule.id === badgeId);
+        if (!badge) return;
+        
+        const notification = document.getElementById('badge-notification');
+        const text = document.getElementById('badge-text');
+        
+        // With reduced motion the toast appears in place instead of sliding in,
+        // and stays up longer since nothing draws the eye to it
+        const still = prefersReducedMotion();
+        text.textContent = getBadgeName(badge);
+        notification.classList.toggle('still', still);
+        notification.classList.add('show');
+        
+        setTimeout(() => {
+            notification.classList.remove('show');
+        }, still ? 6000 : 3000);
+    }
+    
+    return {
+        checkForBadges,
+        generateFeedbackMessage,
+        loadState,
+        getState,
+        getCoaches,
+        getCoach,
+        setCoach,
+        addCoachPack,
+        getAchievements,
+        setReducedMotion,
+        showConfetti,
+        showBadgeNotification,
+        getEarnedBadges: () => Object.keys(state.earned)
+    };
+})();
+
+// ============================================================================
+// VIRTUAL KEYBOARD
+// ============================================================================
+
+const VirtualKeyboard = (function() {
+    'use strict';
+    
+    /**
+     * Finger for each physical key position, per row.
+     * Touch typing assigns fingers by position, not by character.
+     */
+    const FINGER_COLUMNS = [
+        ['left-pinky', 'left-pinky', 'left-ring', 'left-middle', 'left-index', 'left-index',
+            'right-index', 'right-index', 'right-middle', 'right-ring', 'right-pinky', 'right-pinky', 'right-pinky'],
+        ['left-pinky', 'left-ring', 'left-middle', 'left-index', 'left-index',
+            'right-index', 'right-index', 'right-middle', 'right-ring', 'right-pinky', 'right-pinky', 'right-pinky', 'right-pinky'],
+        ['left-pinky', 'left-ring', 'left-middle', 'left-index', 'left-index',
+            'right-index', 'right-index', 'right-middle', 'right-ring', 'right-pinky', 'right-pinky'],
+        ['left-pinky', 'left-ring', 'left-middle', 'left-index', 'left-index',
+            'right-index', 'right-index', 'right-middle', 'right-ring', 'right-pinky']
+    ];
+    
+    // Finger guide order, left to right. Labels come from the locale.
+    const FINGERS = [
+        'left-pinky', 'left-ring', 'left-middle', 'left-index', 'thumb',
+        'right-index', 'right-middle', 'right-ring', 'right-pinky'
+    ];
+    
+    // Modifier keys at the start and end of each row
+    const ROW_EDGES = [
+        { after: { id: 'backspace', label: 'Backspace', finger: 'right-pinky' } },
+        { before: { id: 'tab', label: 'Tab', finger: 'left-pinky' } },
+        { before: { id: 'caps', label: 'Caps', finger: 'left-pinky' },
+            after: { id: 'enter', label: 'Enter', finger: 'right-pinky' } },
+        { before: { id: 'shift-left', label: 'Shift', finger: 'left-pinky' },
+            after: { id: 'shift-right', label: 'Shift', finger: 'right-pinky' } }
+    ];
+    
+    // Horizontal position of each row's first key, in key widths, after the
+    // modifier at the row's start (Tab, Caps, Shift)
+    const ROW_OFFSETS = [0, 1.5, 1.75, 2.25];
+    
+    const FLASH_DURATION = 300;
+    
+    let container = null;
+    let keyMap = {};
+    let keyElements = {};
+    let fingerElements = {};
+    
+    /**
+     * Build a lookup from each character to its key, finger, position and
+     * whether Shift is needed
+     */
+    function buildKeyMap(layout) {
+        const map = {};
+        layout.rows.forEach((row, rowIndex) => {
+            [...row].forEach((char, column) => {
+                const finger = FINGER_COLUMNS[rowIndex][column];
+                const keyId = `key-${rowIndex}-${column}`;
+                const position = { row: rowIndex, x: ROW_OFFSETS[rowIndex] + column };
+                map[char] = { keyId, finger, shift: false, ...position };
+                
+                const shifted = layout.shiftRows[rowIndex][column];
+                if (shifted && shifted !== char) {
+                    map[shifted] = { keyId, finger, shift: true, ...position };
+                }
+            });
+        });
+        
+        map[' '] = { keyId: 'space', finger: 'thumb', shift: false };
+        map['\n'] = { keyId: 'enter', finger: 'right-pinky', shift: false };
+        map['\t'] = { keyId: 'tab', finger: 'left-pinky', shift: false };
+        return map;
+    }
+    
+    function createKey(id, label, finger, extraClass = '') {
+        const key = document.createElement('div');
+        key.className = `vk-key ${extraClass}`.trim();
+        key.dataset.finger = finger;
+        key.textContent = label;
+        keyElements[id] = key;
+        return key;
+    }
+    
+    /**
+     * Render the keyboard and finger guide into a container
+     */
+    function render(target, layout = KeyboardLayouts.get(KeyboardLayouts.DEFAULT_LAYOUT)) {
+        container = target;
+        keyMap = buildKeyMap(layout);
+        keyElements = {};
+        fingerElements = {};
+        container.innerHTML = '';
+        
+        layout.rows.forEach((row, rowIndex) => {
+            const rowElement = document.createElement('div');
+            rowElement.className = 'vk-row';
+            const edges = ROW_EDGES[rowIndex];
+            
+            if (edges.before) {
+                rowElement.appendChild(createKey(edges.before.id, edges.before.label, edges.before.finger, 'vk-modifier'));
+            }
+            [...row].forEach((char, column) => {
+                const shifted = layout.shiftRows[rowIndex][column];
+                const label = char.toUpperCase() === shifted ? shifted : char;
+                const key = createKey(`key-${rowIndex}-${column}`, label, FINGER_COLUMNS[rowIndex][column]);
+                if (shifted && shifted !== char && shifted !== label) {
+                    key.dataset.shift = shifted;
+                }
+                rowElement.appendChild(key);
+            });
+            if (edges.after) {
+                rowElement.appendChild(createKey(edges.after.id, edges.after.label, edges.after.finger, 'vk-modifier'));
+            }
+            
+            container.appendChild(rowElement);
+        });
+        
+        const spaceRow = document.createElement('div');
+        spaceRow.className = 'vk-row';
+        spaceRow.appendChild(createKey('space', 'Space', 'thumb', 'vk-space'));
+        container.appendChild(spaceRow);
+        
+        const fingerGuide = document.createElement('div');
+        fingerGuide.className = 'vk-fingers';
+        FINGERS.forEach(finger => {
+            const fingerElement = document.createElement('div');
+            fingerElement.className = 'vk-finger';
+            fingerElement.dataset.finger = finger;
+            fingerElement.textContent = I18n.t(`finger.${finger}`);
+            fingerElements[finger] = fingerElement;
+            fingerGuide.appendChild(fingerElement);
+        });
+        container.appendChild(fingerGuide);
+    }
+    
+    /**
+     * Get the key, finger and Shift key needed to type a character
+     */
+    function getKeyInfo(char) {
+        const info = keyMap[char];
+        if (!info) return null;
+        
+        // Capitals and symbols use the Shift key on the opposite hand
+        let shiftKeyId = null;
+        if (info.shift) {
+            shiftKeyId = info.finger.startsWith('left') ? 'shift-right' : 'shift-left';
+        }
+        return { ...info, shiftKeyId };
+    }
+    
+    /**
+     * Highlight the key, Shift key and finger for the next character to type
+     */
+    function highlightNext(char) {
+        if (!container) return;
+        
+        Object.values(keyElements).forEach(key => key.classList.remove('next'));
+        Object.values(fingerElements).forEach(finger => finger.classList.remove('active'));
+        
+        const info = char === undefined ? null : getKeyInfo(char);
+        if (!info) return;
+        
+        keyElements[info.keyId].classList.add('next');
+        if (info.shiftKeyId) {
+            keyElements[info.shiftKeyId].classList.add('next');
+        }
+        fingerElements[info.finger].classList.add('active');
+    }
+    
+    /**
+     * Briefly flash the key that should have been pressed
+     */
+    function flashError(char) {
+        const info = getKeyInfo(char);
+        if (!info) return;
+        
+        const key = keyElements[info.keyId];
+        key.classList.remove('error');
+        // Force a reflow so the animation restarts on repeated errors
+        void key.offsetWidth;
+        key.classList.add('error');
+        setTimeout(() => key.classList.remove('error'), FLASH_DURATION);
+    }
+    
+    /**
+     * Shade each key by its share of errors. Shifted characters count toward their key.
+     */
+    function showHeatmap(errorsByKey) {
+        const errorsPerKey = {};
+        Object.keys(errorsByKey).forEach(char => {
+            const info = keyMap[char];
+            if (info) {
+                errorsPerKey[info.keyId] = (errorsPerKey[info.keyId] || 0) + errorsByKey[char];
+            }
+        });
+        
+        const maxErrors = Math.max(0, ...Object.values(errorsPerKey));
+        Object.keys(keyElements).forEach(keyId => {
+            const errors = errorsPerKey[keyId] || 0;
+            const key = keyElements[keyId];
+            key.style.setProperty('--heat', maxErrors > 0 ? (errors / maxErrors).toFixed(2) : 0);
+            key.classList.add('heatmap');
+            key.title = errors > 0 ? I18n.t('keyboard.errors', { count: errors }) : '';
+        });
+    }
+    
+    function clearHeatmap() {
+        Object.values(keyElements).forEach(key => {
+            key.classList.remove('heatmap');
+            key.style.removeProperty('--heat');
+            key.title = '';
+        });
+    }
+    
+    return {
+        render,
+        getKeyInfo,
+        highlightNext,
+        flashError,
+        showHeatmap,
+        clearHeatmap
+    };
+})();
+
+// ============================================================================
+// LOCALES
+// ============================================================================
+
+/**
+ * UI strings and curricula per locale. Strings use {placeholders}; keys ending
+ * in .one/.other are plural forms picked with Intl.PluralRules. Strings a
+ * locale leaves out fall back to English. A locale curriculum adds its own
+ * lessons after the built-in ones at each level.
+ */
+const Locales = {
+    en: {
+        name: 'English',
+        strings: {
+            'app.title': 'Sharp Typing Tutor',
+            'app.leaveWarning': 'You have a typing lesson in progress. Are you sure you want to leave?',
+            'app.refreshWarning': 'Lesson in progress! Use the Reset button if you want to restart.',
+            'app.install': 'Install',
+            'app.installTitle': 'Install the tutor as an app that works offline',
+            'app.startFailed': 'The tutor could not start. Try reloading the page.',
+            
+            'error.profileNameRequired': 'Please enter a profile name.',
+            'error.profileExists': 'A profile named "{name}" already exists.',
+            'error.profileMissing': 'That profile no longer exists.',
+            'error.lastProfile': 'The last profile can’t be deleted.',
+            'error.invalidJson': 'This file is not valid JSON.',
+            'error.notProfile': 'This file is not a Sharp Typing Tutor profile.',
+            'error.profileTooNew': 'This profile was exported from a newer version of the app.',
+            'error.profileVersion': 'Profile version {version} is not supported.',
+            'error.lessonTitleRequired': 'A lesson needs a title.',
+            'error.lessonTextRequired': 'A lesson needs some text to type.',
+            'error.lessonMissing': 'That lesson no longer exists.',
+            'error.notCourse': 'This file is not a Sharp Typing Tutor course.',
+            'error.courseTooNew': 'This course was made with a newer version of the app.',
+            'error.notCoachPack': 'This file is not a Sharp Typing Tutor coach pack.',
+            'error.coachPackTooNew': 'This coach pack was made for a newer version of the app.',
+            'error.coachPackName': 'A coach pack needs a name.',
+            'error.coachPackEmpty': 'This coach pack has no messages.',
+            
+            'update.available': 'A new version of the tutor is available.',
+            'update.reload': 'Reload',
+            'update.reloadConfirm': 'Reloading will abandon the lesson in progress. Continue?',
+            'update.later': 'Later',
+            
+            'profile.label': 'Learner profile',
+            'profile.new': 'New',
+            'profile.newTitle': 'Create a new learner profile',
+            'profile.export': 'Export',
+            'profile.exportTitle': "Download this profile's progress",
+            'profile.import': 'Import',
+            'profile.importTitle': 'Import a profile from a backup file',
+            'profile.csv': 'CSV',
+            'profile.csvTitle': 'Download session history as CSV',
+            'profile.delete': 'Delete',
+            'profile.deleteTitle': 'Delete this profile',
+            'profile.namePrompt': 'Name for the new learner profile:',
+            'profile.switchConfirm': 'Switching profiles will abandon the lesson in progress. Continue?',
+            'profile.deleteConfirm': 'Delete the profile "{name}" with all of its progress and history?',
+            'profile.imported.one': 'Imported "{name}" with {count} session.',
+            'profile.imported.other': 'Imported "{name}" with {count} sessions.',
+            
+            'stats.wpm': 'WPM:',
+            'stats.accuracy': 'Accuracy:',
+            'stats.level': 'Level:',
+            
+            'settings.language': 'Language',
+            'settings.languageConfirm': 'Changing the language will abandon the lesson in progress. Continue?',
+            'settings.layout': 'Keyboard Layout',
+            'settings.errorMode': 'Error Mode',
+            'settings.coach': 'Coach',
+            'settings.coachLoad': 'Load',
+            'settings.coachLoadTitle': 'Load a coach pack from a JSON file',
+            'settings.coachLoaded': 'Loaded the coach "{name}".',
+            'settings.accessible': 'Accessible mode',
+            'settings.accessibleTitle': 'Screen reader announcements, error markers that do not rely on color, and reduced motion',
+            
+            'errorMode.free': 'Free (errors advance)',
+            'errorMode.stop': 'Stop on error',
+            'errorMode.correct': 'Must correct errors',
+            'errorMode.sudden-death': 'Sudden death',
+            'errorMode.restarted': 'Missed {char} — starting over.',
+            'errorMode.blocked': 'Type {char} to continue.',
+            'errorMode.mustCorrect.one': 'Fix {count} mistake with Backspace to finish.',
+            'errorMode.mustCorrect.other': 'Fix {count} mistakes with Backspace to finish.',
+            'key.space': 'Space',
+            'key.enter': 'Enter',
+            
+            'level.choose': 'Choose Your Level',
+            'level.beginner': 'Beginner',
+            'level.intermediate': 'Intermediate',
+            'level.advanced': 'Advanced',
+            'level.master': 'Master',
+            'level.promoted': 'Promoted to {level}! You averaged {wpm} WPM at {accuracy}% accuracy over your last {sessions} sessions.',
+            'level.demoted': "Moved back to {level}! You averaged {wpm} WPM at {accuracy}% accuracy over your last {sessions} sessions. Let's rebuild your foundation.",
+            
+            'lessons.title': 'Lessons',
+            'lessons.custom': 'Custom Lessons',
+            'drill.weakKeys': 'Weak Keys Drill',
+            'drill.weakKeysDescription': 'Words targeting keys due for review: {keys}',
+            'drill.weakKeysNone': 'No keys due for review today - general word practice',
+            'drill.random': 'Random Practice',
+            'drill.randomDescription': 'A fresh mix of common words every session',
+            'drill.contrast': 'Contrast Drill',
+            'drill.contrastDescription': 'Characters you mix up: {pairs}',
+            'drill.contrastNone': 'No mix-ups recorded yet - general word practice',
+            
+            'code.title': 'Code Practice',
+            'code.language': 'Language',
+            'code.snippet': 'Snippet',
+            'code.indentation': 'Indentation',
+            'code.typeIndent': 'Type indentation',
+            'code.skipIndent': 'Skip indentation',
+            'code.load': 'Load Snippet',
+            'code.brackets': 'Brackets',
+            'code.quotes': 'Quotes',
+            'code.operators': 'Operators',
+            'code.noSymbols': 'No symbols in this snippet',
+            'code.weakest': '{summary} — weakest: {symbols}',
+            
+            'timed.title': 'Timed Test',
+            'timed.lessonTitle': '{seconds}s Timed Test',
+            'timed.best': '{seconds}s: {wpm} WPM ({raw} raw, {accuracy}%)',
+            'timed.personalBest': 'New personal best for the {seconds} second test!',
+            
+            'ghost.label': 'Ghost',
+            'ghost.toggle': 'Race my ghost',
+            'ghost.toggleTitle': 'Race a replay of your best run on the same lesson',
+            'ghost.saved': 'Ghost saved. Race this run next time!',
+            'ghost.newBest': 'New personal best: {wpm} WPM! Your ghost now races this run.',
+            'ghost.kept': 'Your ghost keeps its best of {wpm} WPM.',
+            
+            'race.title': 'LAN Race',
+            'race.server': 'Server',
+            'race.name': 'Your name',
+            'race.room': 'Room code',
+            'race.roomPlaceholder': 'Empty to create a room',
+            'race.join': 'Join',
+            'race.start': 'Start Race',
+            'race.leave': 'Leave',
+            'race.connecting': 'Connecting…',
+            'race.joined': 'In room {room}. Share the code so others can join.',
+            'race.disconnected': 'Disconnected from the race server.',
+            'race.unreachable': 'Could not reach the race server.',
+            'race.badServer': 'That server address is not valid.',
+            'race.pickLesson': 'Pick a lesson or code snippet to race on first.',
+            'race.go': 'Go!',
+            'race.over': 'The race is over.',
+            'race.busy': 'A race started, but you are sitting it out to finish your lesson.',
+            'race.lessonTitle': 'Race: {title}',
+            'race.untitled': 'Untitled',
+            'race.hostName': '{name} (host)',
+            'race.wpmValue': '{wpm} WPM',
+            'race.watching': 'Watching',
+            'race.track': 'Race track',
+            'race.place': 'Place',
+            'race.player': 'Player',
+            'race.wpm': 'WPM',
+            'race.accuracy': 'Accuracy',
+            'race.time': 'Time',
+            'race.dnf': 'DNF',
+            'race.error.bad-message': 'The race server did not understand the request.',
+            'race.error.already-joined': 'You are already in a room.',
+            'race.error.bad-room': 'Room codes are 4 to 8 letters or digits.',
+            'race.error.no-room': 'There is no room with that code.',
+            'race.error.room-full': 'This room is full.',
+            'race.error.not-host': 'Only the host can start the race.',
+            'race.error.race-running': 'A race is already running.',
+            'race.error.no-text': 'Pick a lesson to race on first.',
+            'race.error.not-joined': 'Join a room first.',
+            
+            'progress.title': 'Your Progress',
+            'progress.view': 'View Progress',
+            'progress.keysToPractice': 'Keys to Practice',
+            'progress.keyDue': '{errors} recent errors, due {date}',
+            'progress.trend': 'WPM & Accuracy Trend',
+            'progress.practice': 'Daily Practice Time',
+            'progress.lessonBests': 'Lesson Bests',
+            'progress.empty': 'Complete a lesson to see your trends',
+            'progress.lesson': 'Lesson',
+            'progress.bestWpm': 'Best WPM',
+            'progress.bestAccuracy': 'Best Accuracy',
+            'progress.sessions': 'Sessions',
+            
+            'analytics.title': 'Keys, Transitions and Fingers',
+            'analytics.sessionTitle': 'Session Analytics',
+            'analytics.none': 'Type a little more to see detailed analytics.',
+            'analytics.summary': 'Median key time {latency}ms · average error rate {errorRate}%',
+            'analytics.slowTransition': 'Your "{ngram}" transition takes {latency}ms, {ratio}× your median.',
+            'analytics.fingerErrors': 'Your {finger} has {ratio}× the average error rate.',
+            'analytics.keyErrors': 'You miss "{key}" {ratio}× as often as the average key.',
+            'analytics.transition': 'Transition',
+            'analytics.key': 'Key',
+            'analytics.finger': 'Finger',
+            'analytics.latency': 'Avg time',
+            'analytics.vsMedian': 'vs median',
+            'analytics.vsAverage': 'vs average',
+            'analytics.errorRate': 'Error rate',
+            'analytics.ms': '{latency}ms',
+            'analytics.ratio': '{ratio}×',
+            'confusion.title': 'Most Common Mix-ups',
+            'confusion.none': 'No mix-ups to report.',
+            'confusion.expected': 'Expected',
+            'confusion.typed': 'Typed',
+            'confusion.count': 'Times',
+            'confusion.kind': 'Kind',
+            'confusion.type.case': 'Case or Shift',
+            'confusion.type.adjacent': 'Adjacent key',
+            'confusion.type.same-finger': 'Same finger',
+            'confusion.type.other': 'Other',
+            'confusion.typeCount': '{type}: {count}',
+            'fingerName.left-pinky': 'left pinky',
+            'fingerName.left-ring': 'left ring finger',
+            'fingerName.left-middle': 'left middle finger',
+            'fingerName.left-index': 'left index finger',
+            'fingerName.thumb': 'thumbs',
+            'fingerName.right-index': 'right index finger',
+            'fingerName.right-middle': 'right middle finger',
+            'fingerName.right-ring': 'right ring finger',
+            'fingerName.right-pinky': 'right pinky',
+            'badge.progress': '{description} ({current} / {target})',
+            'badge.first-lesson.name': 'First Steps',
+            'badge.first-lesson.description': 'Completed your first lesson',
+            'badge.persistent.name': 'Persistent',
+            'badge.persistent.description': 'Completed 10 lessons',
+            'badge.dedicated.name': 'Dedicated',
+            'badge.dedicated.description': 'Completed 25 lessons',
+            'badge.wpm-20.name': '20 WPM Club',
+            'badge.wpm-20.description': 'Achieved 20 WPM',
+            'badge.wpm-40.name': '40 WPM Club',
+            'badge.wpm-40.description': 'Achieved 40 WPM',
+            'badge.wpm-60.name': '60 WPM Club',
+            'badge.wpm-60.description': 'Achieved 60 WPM',
+            'badge.wpm-80.name': '80 WPM Club',
+            'badge.wpm-80.description': 'Achieved 80 WPM',
+            'badge.accuracy-90.name': 'Sharp Shooter',
+            'badge.accuracy-90.description': '90% accuracy achieved',
+            'badge.accuracy-95.name': 'Precision Master',
+            'badge.accuracy-95.description': '95% accuracy achieved',
+            'badge.perfectionist.name': 'Perfectionist',
+            'badge.perfectionist.description': '100% accuracy on a lesson',
+            'badge.home-row-hero.name': 'Home Row Hero',
+            'badge.home-row-hero.description': 'Typed Home Row Basics at 25 WPM',
+            'badge.steady-hands.name': 'Steady Hands',
+            'badge.steady-hands.description': '5 lessons in a row at 95% accuracy',
+            'badge.on-a-roll.name': 'On a Roll',
+            'badge.on-a-roll.description': '3 lessons in a row at 40 WPM',
+            'badge.advanced-regular.name': 'Advanced Regular',
+            'badge.advanced-regular.description': 'Completed 10 Advanced lessons',
+            'badge.master.name': 'Typing Master',
+            'badge.master.description': 'Reached Master level',
+            'badge.streak-3.name': 'Habit Forming',
+            'badge.streak-3.description': 'Met your daily goal 3 days in a row',
+            'badge.streak-7.name': 'Week Warrior',
+            'badge.streak-7.description': 'Met your daily goal 7 days in a row',
+            'badge.streak-30.name': 'Monthly Marathon',
+            'badge.streak-30.description': 'Met your daily goal 30 days in a row',
+            
+            'goal.title': 'Daily Goal',
+            'goal.amount': 'Daily goal amount',
+            'goal.unit': 'Daily goal unit',
+            'goal.minutesPerDay': 'minutes a day',
+            'goal.lessonsPerDay': 'lessons a day',
+            'goal.minutes.one': '{count} minute',
+            'goal.minutes.other': '{count} minutes',
+            'goal.lessons.one': '{count} lesson',
+            'goal.lessons.other': '{count} lessons',
+            'goal.met': 'Goal met today: {amount} ✓',
+            'goal.today': 'Today: {count} of {target}',
+            'goal.streak': '🔥 Streak:',
+            'goal.longest': 'Longest:',
+            'goal.days.one': '{count} day',
+            'goal.days.other': '{count} days',
+            'goal.calendarDay': '{date}: {amount}',
+            'goal.remindAt': 'Remind me at',
+            'goal.noNotifications': 'This browser does not support notifications.',
+            'goal.permissionNeeded': 'Reminders need permission to show notifications.',
+            'goal.reminder': "{amount} more to reach today's goal. Keep your streak going!",
+            
+            'metrics.wpm': 'WPM',
+            'metrics.accuracy': 'Accuracy',
+            'metrics.time': 'Time',
+            'metrics.errors': 'Errors',
+            
+            'typing.prompt': 'Click "Start Lesson" to begin typing practice',
+            'typing.placeholder': 'Start typing here...',
+            'typing.textLabel': 'Lesson text',
+            'a11y.next': 'Next: {char}',
+            'a11y.error': 'Typed {typed}, expected {char}.',
+            'a11y.complete': 'Lesson complete. {wpm} WPM at {accuracy}% accuracy.',
+            'keyboard.heatmap': 'Show error heatmap',
+            'keyboard.errors.one': '{count} error',
+            'keyboard.errors.other': '{count} errors',
+            'finger.left-pinky': 'L Pinky',
+            'finger.left-ring': 'L Ring',
+            'finger.left-middle': 'L Middle',
+            'finger.left-index': 'L Index',
+            'finger.thumb': 'Thumbs',
+            'finger.right-index': 'R Index',
+            'finger.right-middle': 'R Middle',
+            'finger.right-ring': 'R Ring',
+            'finger.right-pinky': 'R Pinky',
+            
+            'controls.start': 'Start Lesson',
+            'controls.reset': 'Reset',
+            'controls.next': 'Next Lesson',
+            'controls.newTest': 'New Test',
+            'controls.nextSnippet': 'Next Snippet',
+            'controls.goToLevel': 'Go to {level}',
+            'controls.replay': 'Replay',
+            
+            'results.title': 'Lesson Complete!',
+            'results.finalWpm': 'Final WPM:',
+            'results.accuracy': 'Accuracy:',
+            'results.time': 'Time Taken:',
+            'results.errors': 'Total Errors:',
+            'results.netWpm': 'Net WPM:',
+            'results.rawWpm': 'Raw WPM:',
+            'results.corrections': 'Corrected / Uncorrected:',
+            'results.kps': 'Keys per Second:',
+            'results.consistency': 'Consistency:',
+            
+            'editor.title': 'Custom Lessons',
+            'editor.lessonTitle': 'Title',
+            'editor.description': 'Description',
+            'editor.level': 'Level',
+            'editor.text': 'Text',
+            'editor.textPlaceholder': 'Type or paste lesson text...',
+            'editor.file': 'Or load a .txt or .md file',
+            'editor.split': 'Split into lesson-sized chunks',
+            'editor.save': 'Save Lesson',
+            'editor.clear': 'Clear',
+            'editor.yourLessons': 'Your Lessons',
+            'editor.none': 'No custom lessons yet.',
+            'editor.edit': 'Edit',
+            'editor.delete': 'Delete',
+            'editor.deleteConfirm': 'Delete "{title}"?',
+            'editor.exportCourse': 'Export Course',
+            'editor.importCourse': 'Import Course',
+            'editor.imported.one': 'Imported {count} lesson.',
+            'editor.imported.other': 'Imported {count} lessons.',
+            
+            'common.close': 'Close',
+            'badge.earned': 'Badge Earned!'
+        }
+    },
+    
+    fr: {
+        name: 'Français',
+        strings: {
+            'app.title': 'Sharp Typing Tutor',
+            'app.leaveWarning': 'Une leçon est en cours. Voulez-vous vraiment quitter la page ?',
+            'app.refreshWarning': 'Leçon en cours ! Utilisez le bouton Réinitialiser pour recommencer.',
+            'app.install': 'Installer',
+            'app.installTitle': 'Installer le tuteur comme une application qui fonctionne hors ligne',
+            'app.startFailed': 'Le tuteur n’a pas pu démarrer. Essayez de recharger la page.',
+            
+            'error.profileNameRequired': 'Veuillez saisir un nom de profil.',
+            'error.profileExists': 'Un profil nommé « {name} » existe déjà.',
+            'error.profileMissing': 'Ce profil n’existe plus.',
+            'error.lastProfile': 'Le dernier profil ne peut pas être supprimé.',
+            'error.invalidJson': 'Ce fichier n’est pas un JSON valide.',
+            'error.notProfile': 'Ce fichier n’est pas un profil Sharp Typing Tutor.',
+            'error.profileTooNew': 'Ce profil a été exporté depuis une version plus récente de l’application.',
+            'error.profileVersion': 'La version de profil {version} n’est pas prise en charge.',
+            'error.lessonTitleRequired': 'Une leçon doit avoir un titre.',
+            'error.lessonTextRequired': 'Une leçon doit contenir du texte à taper.',
+            'error.lessonMissing': 'Cette leçon n’existe plus.',
+            'error.notCourse': 'Ce fichier n’est pas un cours Sharp Typing Tutor.',
+            'error.courseTooNew': 'Ce cours a été créé avec une version plus récente de l’application.',
+            'error.notCoachPack': 'Ce fichier n’est pas un pack de coach Sharp Typing Tutor.',
+            'error.coachPackTooNew': 'Ce pack de coach a été créé pour une version plus récente de l’application.',
+            'error.coachPackName': 'Un pack de coach doit avoir un nom.',
+            'error.coachPackEmpty': 'Ce pack de coach ne contient aucun message.',
+            
+            'update.available': 'Une nouvelle version du tuteur est disponible.',
+            'update.reload': 'Recharger',
+            'update.reloadConfirm': 'Recharger abandonnera la leçon en cours. Continuer ?',
+            'update.later': 'Plus tard',
+            
+            'profile.label': 'Profil de l’apprenant',
+            'profile.new': 'Nouveau',
+            'profile.newTitle': 'Créer un nouveau profil',
+            'profile.export': 'Exporter',
+            'profile.exportTitle': 'Télécharger la progression de ce profil',
+            'profile.import': 'Importer',
+            'profile.importTitle': 'Importer un profil depuis une sauvegarde',
+            'profile.csv': 'CSV',
+            'profile.csvTitle': 'Télécharger l’historique des sessions en CSV',
+            'profile.delete': 'Supprimer',
+            'profile.deleteTitle': 'Supprimer ce profil',
+            'profile.namePrompt': 'Nom du nouveau profil :',
+            'profile.switchConfirm': 'Changer de profil abandonnera la leçon en cours. Continuer ?',
+            'profile.deleteConfirm': 'Supprimer le profil « {name} » avec toute sa progression et son historique ?',
+            'profile.imported.one': '« {name} » importé avec {count} session.',
+            'profile.imported.other': '« {name} » importé avec {count} sessions.',
+            
+            'stats.wpm': 'MPM :',
+            'stats.accuracy': 'Précision :',
+            'stats.level': 'Niveau :',
+            
+            'settings.language': 'Langue',
+            'settings.languageConfirm': 'Changer de langue abandonnera la leçon en cours. Continuer ?',
+            'settings.layout': 'Disposition du clavier',
+            'settings.errorMode': 'Gestion des erreurs',
+            'settings.coach': 'Coach',
+            'settings.coachLoad': 'Charger',
+            'settings.coachLoadTitle': 'Charger un coach depuis un fichier JSON',
+            'settings.coachLoaded': 'Coach « {name} » chargé.',
+            'settings.accessible': 'Mode accessible',
+            'settings.accessibleTitle': "Annonces pour lecteur d'écran, erreurs signalées sans couleur et animations réduites",
+            
+            'errorMode.free': 'Libre (les erreurs avancent)',
+            'errorMode.stop': 'Arrêt sur erreur',
+            'errorMode.correct': 'Correction obligatoire',
+            'errorMode.sudden-death': 'Mort subite',
+            'errorMode.restarted': '{char} manqué — on recommence.',
+            'errorMode.blocked': 'Tapez {char} pour continuer.',
+            'errorMode.mustCorrect.one': 'Corrigez {count} erreur avec Retour arrière pour terminer.',
+            'errorMode.mustCorrect.other': 'Corrigez {count} erreurs avec Retour arrière pour terminer.',
+            'key.space': 'Espace',
+            'key.enter': 'Entrée',
+            
+            'level.choose': 'Choisissez votre niveau',
+            'level.beginner': 'Débutant',
+            'level.intermediate': 'Intermédiaire',
+            'level.advanced': 'Avancé',
+            'level.master': 'Maître',
+            'level.promoted': 'Promu au niveau {level} ! Vous avez tapé en moyenne {wpm} MPM avec {accuracy} % de précision sur vos {sessions} dernières séances.',
+            'level.demoted': 'Retour au niveau {level}. Vous avez tapé en moyenne {wpm} MPM avec {accuracy} % de précision sur vos {sessions} dernières séances. Reprenons les bases.',
+            
+            'lessons.title': 'Leçons',
+            'lessons.custom': 'Leçons personnalisées',
+            'drill.weakKeys': 'Exercice des touches faibles',
+            'drill.weakKeysDescription': 'Mots ciblant les touches à réviser : {keys}',
+            'drill.weakKeysNone': 'Aucune touche à réviser aujourd’hui - pratique générale',
+            'drill.random': 'Pratique aléatoire',
+            'drill.randomDescription': 'Un nouveau mélange de mots courants à chaque session',
+            'drill.contrast': 'Exercice de contraste',
+            'drill.contrastDescription': 'Caractères que vous confondez : {pairs}',
+            'drill.contrastNone': 'Aucune confusion enregistrée - pratique générale',
+            
+            'code.title': 'Pratique du code',
+            'code.language': 'Langage',
+            'code.snippet': 'Extrait',
+            'code.indentation': 'Indentation',
+            'code.typeIndent': 'Taper l’indentation',
+            'code.skipIndent': 'Ignorer l’indentation',
+            'code.load': 'Charger l’extrait',
+            'code.brackets': 'Parenthèses',
+            'code.quotes': 'Guillemets',
+            'code.operators': 'Opérateurs',
+            'code.noSymbols': 'Aucun symbole dans cet extrait',
+            'code.weakest': '{summary} — les plus faibles : {symbols}',
+            
+            'timed.title': 'Test chronométré',
+            'timed.lessonTitle': 'Test de {seconds} s',
+            'timed.best': '{seconds} s : {wpm} MPM ({raw} brut, {accuracy} %)',
+            'timed.personalBest': 'Nouveau record pour le test de {seconds} secondes !',
+            
+            'ghost.label': 'Fantôme',
+            'ghost.toggle': 'Affronter mon fantôme',
+            'ghost.toggleTitle': 'Course contre une reprise de votre meilleur passage sur la même leçon',
+            'ghost.saved': 'Fantôme enregistré. Affrontez-le la prochaine fois !',
+            'ghost.newBest': 'Nouveau record : {wpm} MPM ! Votre fantôme reprend ce passage.',
+            'ghost.kept': 'Votre fantôme garde son record de {wpm} MPM.',
+            
+            'race.title': 'Course en réseau local',
+            'race.server': 'Serveur',
+            'race.name': 'Votre nom',
+            'race.room': 'Code du salon',
+            'race.roomPlaceholder': 'Vide pour créer un salon',
+            'race.join': 'Rejoindre',
+            'race.start': 'Lancer la course',
+            'race.leave': 'Quitter',
+            'race.connecting': 'Connexion…',
+            'race.joined': 'Salon {room}. Partagez le code pour que d’autres vous rejoignent.',
+            'race.disconnected': 'Déconnecté du serveur de course.',
+            'race.unreachable': 'Impossible de joindre le serveur de course.',
+            'race.badServer': 'Cette adresse de serveur n’est pas valide.',
+            'race.pickLesson': 'Choisissez d’abord une leçon ou un extrait de code.',
+            'race.go': 'Partez !',
+            'race.over': 'La course est terminée.',
+            'race.busy': 'Une course a commencé, mais vous ne la courez pas pour finir votre leçon.',
+            'race.lessonTitle': 'Course : {title}',
+            'race.untitled': 'Sans titre',
+            'race.hostName': '{name} (hôte)',
+            'race.wpmValue': '{wpm} MPM',
+            'race.watching': 'Spectateur',
+            'race.track': 'Piste de course',
+            'race.place': 'Place',
+            'race.player': 'Joueur',
+            'race.wpm': 'MPM',
+            'race.accuracy': 'Précision',
+            'race.time': 'Temps',
+            'race.dnf': 'Abandon',
+            'race.error.bad-message': 'Le serveur de course n’a pas compris la demande.',
+            'race.error.already-joined': 'Vous êtes déjà dans un salon.',
+            'race.error.bad-room': 'Un code de salon compte 4 à 8 lettres ou chiffres.',
+            'race.error.no-room': 'Aucun salon ne porte ce code.',
+            'race.error.room-full': 'Ce salon est complet.',
+            'race.error.not-host': 'Seul l’hôte peut lancer la course.',
+            'race.error.race-running': 'Une course est déjà en cours.',
+            'race.error.no-text': 'Choisissez d’abord une leçon pour la course.',
+            'race.error.not-joined': 'Rejoignez d’abord un salon.',
+            
+            'progress.title': 'Votre progression',
+            'progress.view': 'Voir la progression',
+            'progress.keysToPractice': 'Touches à travailler',
+            'progress.keyDue': '{errors} erreurs récentes, à réviser le {date}',
+            'progress.trend': 'Évolution MPM et précision',
+            'progress.practice': 'Temps de pratique quotidien',
+            'progress.lessonBests': 'Meilleurs résultats par leçon',
+            'progress.empty': 'Terminez une leçon pour voir votre évolution',
+            'progress.lesson': 'Leçon',
+            'progress.bestWpm': 'Meilleur MPM',
+            'progress.bestAccuracy': 'Meilleure précision',
+            'progress.sessions': 'Séances',
+            
+            'analytics.title': 'Touches, transitions et doigts',
+            'analytics.sessionTitle': 'Analyse de la séance',
+            'analytics.none': "Tapez encore un peu pour voir l'analyse détaillée.",
+            'analytics.summary': "Temps médian par touche {latency} ms · taux d'erreur moyen {errorRate} %",
+            'analytics.slowTransition': 'Votre transition « {ngram} » prend {latency} ms, {ratio}× votre médiane.',
+            'analytics.fingerErrors': "Votre {finger} a {ratio}× le taux d'erreur moyen.",
+            'analytics.keyErrors': 'Vous manquez « {key} » {ratio}× plus souvent que la touche moyenne.',
+            'analytics.transition': 'Transition',
+            'analytics.key': 'Touche',
+            'analytics.finger': 'Doigt',
+            'analytics.latency': 'Temps moyen',
+            'analytics.vsMedian': 'vs médiane',
+            'analytics.vsAverage': 'vs moyenne',
+            'analytics.errorRate': "Taux d'erreur",
+            'analytics.ms': '{latency} ms',
+            'analytics.ratio': '{ratio}×',
+            'confusion.title': 'Confusions les plus fréquentes',
+            'confusion.none': 'Aucune confusion à signaler.',
+            'confusion.expected': 'Attendu',
+            'confusion.typed': 'Tapé',
+            'confusion.count': 'Fois',
+            'confusion.kind': 'Type',
+            'confusion.type.case': 'Casse ou Maj',
+            'confusion.type.adjacent': 'Touche voisine',
+            'confusion.type.same-finger': 'Même doigt',
+            'confusion.type.other': 'Autre',
+            'confusion.typeCount': '{type} : {count}',
+            'fingerName.left-pinky': 'auriculaire gauche',
+            'fingerName.left-ring': 'annulaire gauche',
+            'fingerName.left-middle': 'majeur gauche',
+            'fingerName.left-index': 'index gauche',
+            'fingerName.thumb': 'pouces',
+            'fingerName.right-index': 'index droit',
+            'fingerName.right-middle': 'majeur droit',
+            'fingerName.right-ring': 'annulaire droit',
+            'fingerName.right-pinky': 'auriculaire droit',
+            'badge.progress': '{description} ({current} / {target})',
+            'badge.first-lesson.name': 'Premiers pas',
+            'badge.first-lesson.description': 'Première leçon terminée',
+            'badge.persistent.name': 'Persévérant',
+            'badge.persistent.description': '10 leçons terminées',
+            'badge.dedicated.name': 'Assidu',
+            'badge.dedicated.description': '25 leçons terminées',
+            'badge.wpm-20.name': 'Club des 20 MPM',
+            'badge.wpm-20.description': '20 MPM atteints',
+            'badge.wpm-40.name': 'Club des 40 MPM',
+            'badge.wpm-40.description': '40 MPM atteints',
+            'badge.wpm-60.name': 'Club des 60 MPM',
+            'badge.wpm-60.description': '60 MPM atteints',
+            'badge.wpm-80.name': 'Club des 80 MPM',
+            'badge.wpm-80.description': '80 MPM atteints',
+            'badge.accuracy-90.name': 'Tireur d’élite',
+            'badge.accuracy-90.description': '90 % de précision atteints',
+            'badge.accuracy-95.name': 'Maître de la précision',
+            'badge.accuracy-95.description': '95 % de précision atteints',
+            'badge.perfectionist.name': 'Perfectionniste',
+            'badge.perfectionist.description': '100 % de précision sur une leçon',
+            'badge.home-row-hero.name': 'Héros de la rangée de repos',
+            'badge.home-row-hero.description': 'Bases de la rangée de repos tapées à 25 MPM',
+            'badge.steady-hands.name': 'Mains sûres',
+            'badge.steady-hands.description': '5 leçons d’affilée à 95 % de précision',
+            'badge.on-a-roll.name': 'Sur sa lancée',
+            'badge.on-a-roll.description': '3 leçons d’affilée à 40 MPM',
+            'badge.advanced-regular.name': 'Habitué du niveau avancé',
+            'badge.advanced-regular.description': '10 leçons avancées terminées',
+            'badge.master.name': 'Maître de la frappe',
+            'badge.master.description': 'Niveau Maître atteint',
+            'badge.streak-3.name': 'Bonne habitude',
+            'badge.streak-3.description': 'Objectif quotidien atteint 3 jours de suite',
+            'badge.streak-7.name': 'Guerrier de la semaine',
+            'badge.streak-7.description': 'Objectif quotidien atteint 7 jours de suite',
+            'badge.streak-30.name': 'Marathon du mois',
+            'badge.streak-30.description': 'Objectif quotidien atteint 30 jours de suite',
+            
+            'goal.title': 'Objectif quotidien',
+            'goal.amount': 'Quantité de l’objectif quotidien',
+            'goal.unit': 'Unité de l’objectif quotidien',
+            'goal.minutesPerDay': 'minutes par jour',
+            'goal.lessonsPerDay': 'leçons par jour',
+            'goal.minutes.one': '{count} minute',
+            'goal.minutes.other': '{count} minutes',
+            'goal.lessons.one': '{count} leçon',
+            'goal.lessons.other': '{count} leçons',
+            'goal.met': 'Objectif atteint aujourd’hui : {amount} ✓',
+            'goal.today': 'Aujourd’hui : {count} sur {target}',
+            'goal.streak': '🔥 Série :',
+            'goal.longest': 'Record :',
+            'goal.days.one': '{count} jour',
+            'goal.days.other': '{count} jours',
+            'goal.calendarDay': '{date} : {amount}',
+            'goal.remindAt': 'Me le rappeler à',
+            'goal.noNotifications': 'Ce navigateur ne prend pas en charge les notifications.',
+            'goal.permissionNeeded': 'Les rappels ont besoin de l’autorisation d’afficher des notifications.',
+            'goal.reminder': 'Encore {amount} pour atteindre l’objectif du jour. Ne cassez pas votre série !',
+            
+            'metrics.wpm': 'MPM',
+            'metrics.accuracy': 'Précision',
+            'metrics.time': 'Temps',
+            'metrics.errors': 'Erreurs',
+            
+            'typing.prompt': 'Cliquez sur « Commencer la leçon » pour vous entraîner',
+            'typing.placeholder': 'Commencez à taper ici...',
+            'typing.textLabel': 'Texte de la leçon',
+            'a11y.next': 'Suivant : {char}',
+            'a11y.error': 'Tapé {typed}, attendu {char}.',
+            'a11y.complete': 'Leçon terminée. {wpm} MPM avec {accuracy} % de précision.',
+            'keyboard.heatmap': 'Afficher la carte des erreurs',
+            'keyboard.errors.one': '{count} erreur',
+            'keyboard.errors.other': '{count} erreurs',
+            'finger.left-pinky': 'Auric. G',
+            'finger.left-ring': 'Annul. G',
+            'finger.left-middle': 'Majeur G',
+            'finger.left-index': 'Index G',
+            'finger.thumb': 'Pouces',
+            'finger.right-index': 'Index D',
+            'finger.right-middle': 'Majeur D',
+            'finger.right-ring': 'Annul. D',
+            'finger.right-pinky': 'Auric. D',
+            
+            'controls.start': 'Commencer la leçon',
+            'controls.reset': 'Réinitialiser',
+            'controls.next': 'Leçon suivante',
+            'controls.newTest': 'Nouveau test',
+            'controls.nextSnippet': 'Extrait suivant',
+            'controls.goToLevel': 'Passer au niveau {level}',
+            'controls.replay': 'Revoir',
+            
+            'results.title': 'Leçon terminée !',
+            'results.finalWpm': 'MPM final :',
+            'results.accuracy': 'Précision :',
+            'results.time': 'Durée :',
+            'results.errors': 'Erreurs totales :',
+            'results.netWpm': 'MPM net :',
+            'results.rawWpm': 'MPM brut :',
+            'results.corrections': 'Corrigées / non corrigées :',
+            'results.kps': 'Touches par seconde :',
+            'results.consistency': 'Régularité :',
+            
+            'editor.title': 'Leçons personnalisées',
+            'editor.lessonTitle': 'Titre',
+            'editor.description': 'Description',
+            'editor.level': 'Niveau',
+            'editor.text': 'Texte',
+            'editor.textPlaceholder': 'Tapez ou collez le texte de la leçon...',
+            'editor.file': 'Ou chargez un fichier .txt ou .md',
+            'editor.split': 'Découper en leçons',
+            'editor.save': 'Enregistrer la leçon',
+            'editor.clear': 'Effacer',
+            'editor.yourLessons': 'Vos leçons',
+            'editor.none': 'Aucune leçon personnalisée pour l’instant.',
+            'editor.edit': 'Modifier',
+            'editor.delete': 'Supprimer',
+            'editor.deleteConfirm': 'Supprimer « {title} » ?',
+            'editor.exportCourse': 'Exporter le cours',
+            'editor.importCourse': 'Importer un cours',
+            'editor.imported.one': '{count} leçon importée.',
+            'editor.imported.other': '{count} leçons importées.',
+            
+            'common.close': 'Fermer',
+            'badge.earned': 'Badge obtenu !'
+        },
+        curriculum: {
+            beginner: [
+                {
+                    id: 'fr-accents-1',
+                    title: 'Accents aigus',
+                    description: 'Le é dans les mots de tous les jours',
+                    text: 'été café élève idée musée école année vérité liberté égalité'
+                },
+                {
+                    id: 'fr-accents-2',
+                    title: 'Accents graves et circonflexes',
+                    description: 'Les lettres è, à, ù, ê, â et ô',
+                    text: 'mère père très où là déjà fête forêt tête château hôtel côte'
+                },
+                {
+                    id: 'fr-accents-3',
+                    title: 'Cédille et tréma',
+                    description: 'Les lettres ç, ë et ï',
+                    text: 'ça garçon leçon français reçu façade Noël naïf maïs égoïste'
+                }
+            ],
+            intermediate: [
+                {
+                    id: 'fr-phrases-1',
+                    title: 'Phrases courantes',
+                    description: 'Salutations et questions de tous les jours',
+                    text: "Bonjour, comment ça va ? Très bien, merci. Où est la bibliothèque ? Elle est à côté de l'école."
+                },
+                {
+                    id: 'fr-phrases-2',
+                    title: 'Majuscules et ponctuation',
+                    description: 'Noms propres, dates et apostrophes',
+                    text: "Le 14 juillet, Élodie et François sont allés à Paris. Qu'est-ce qu'ils ont vu ? La tour Eiffel !"
+                },
+                {
+                    id: 'fr-phrases-3',
+                    title: 'La météo',
+                    description: "Vocabulaire du temps qu'il fait",
+                    text: "Aujourd'hui, il fait beau et chaud. Demain, il pleuvra peut-être ; prenez un parapluie."
+                }
+            ],
+            advanced: [
+                {
+                    id: 'fr-texte-1',
+                    title: 'Le Petit Prince',
+                    description: 'Une citation célèbre de Saint-Exupéry',
+                    text: "On ne voit bien qu'avec le cœur. L'essentiel est invisible pour les yeux."
+                },
+                {
+                    id: 'fr-texte-2',
+                    title: 'Pascal',
+                    description: 'Une pensée de Blaise Pascal',
+                    text: "Le cœur a ses raisons que la raison ne connaît point. L'homme n'est qu'un roseau, le plus faible de la nature ; mais c'est un roseau pensant."
+                },
+                {
+                    id: 'fr-texte-3',
+                    title: 'Les ligatures',
+                    description: 'Les lettres œ et æ',
+                    text: "Ma sœur a vu un bœuf dans le verger ; ce tableau est un chef-d'œuvre, et son curriculum vitæ est impressionnant."
+                }
+            ],
+            master: [
+                {
+                    id: 'fr-maitre-1',
+                    title: 'La Fontaine',
+                    description: 'Le Corbeau et le Renard',
+                    text: 'Maître Corbeau, sur un arbre perché, tenait en son bec un fromage. Maître Renard, par l\'odeur alléché, lui tint à peu près ce langage : "Hé ! bonjour, Monsieur du Corbeau. Que vous êtes joli ! que vous me semblez beau !"'
+                },
+                {
+                    id: 'fr-maitre-2',
+                    title: 'Virelangues',
+                    description: 'Des phrases pour délier les doigts',
+                    text: "Les chaussettes de l'archiduchesse sont-elles sèches, archisèches ? Un chasseur sachant chasser doit savoir chasser sans son chien."
+                }
+            ]
+        }
+    },
+    
+    yo: {
+        name: 'Yorùbá',
+        strings: {
+            'app.title': 'Sharp Typing Tutor',
+            'app.leaveWarning': 'Ẹ̀kọ́ ìtẹ̀wé kan ṣì ń lọ lọ́wọ́. Ṣé o dá ọ lójú pé o fẹ́ kúrò?',
+            'app.refreshWarning': 'Ẹ̀kọ́ ṣì ń lọ lọ́wọ́! Lo bọ́tìnnì Tún bẹ̀rẹ̀ tí o bá fẹ́ bẹ̀rẹ̀ lọ́tun.',
+            'app.install': 'Fi sórí ẹ̀rọ',
+            'app.installTitle': 'Fi olùkọ́ náà sórí ẹ̀rọ bí áàpù tí ó ń ṣiṣẹ́ láìsí ayélujára',
+            'app.startFailed': 'Olùkọ́ náà kò lè bẹ̀rẹ̀. Gbìyànjú láti tún ojú-ìwé náà gbé.',
+            
+            'error.profileNameRequired': 'Jọ̀wọ́ kọ orúkọ àkọsílẹ̀ kan.',
+            'error.profileExists': 'Àkọsílẹ̀ tí orúkọ rẹ̀ ń jẹ́ "{name}" ti wà tẹ́lẹ̀.',
+            'error.profileMissing': 'Àkọsílẹ̀ yẹn kò sí mọ́.',
+            'error.lastProfile': 'A kò lè pa àkọsílẹ̀ tó kẹ́yìn rẹ́.',
+            'error.invalidJson': 'Fáìlì yìí kì í ṣe JSON tó tọ́.',
+            'error.notProfile': 'Fáìlì yìí kì í ṣe àkọsílẹ̀ Sharp Typing Tutor.',
+            'error.profileTooNew': 'Ẹ̀dà áàpù tó tuntun jù ni a fi gbé àkọsílẹ̀ yìí jáde.',
+            'error.profileVersion': 'A kò ṣe àtìlẹ́yìn fún ẹ̀dà àkọsílẹ̀ {version}.',
+            'error.lessonTitleRequired': 'Ẹ̀kọ́ kan nílò àkọlé.',
+            'error.lessonTextRequired': 'Ẹ̀kọ́ kan nílò ọ̀rọ̀ láti tẹ̀.',
+            'error.lessonMissing': 'Ẹ̀kọ́ yẹn kò sí mọ́.',
+            'error.notCourse': 'Fáìlì yìí kì í ṣe ètò ẹ̀kọ́ Sharp Typing Tutor.',
+            'error.courseTooNew': 'Ẹ̀dà áàpù tó tuntun jù ni a fi ṣe ètò ẹ̀kọ́ yìí.',
+            'error.notCoachPack': 'Fáìlì yìí kì í ṣe àpò olùkọ́ni Sharp Typing Tutor.',
+            'error.coachPackTooNew': 'Ẹ̀dà áàpù tó tuntun jù ni a ṣe àpò olùkọ́ni yìí fún.',
+            'error.coachPackName': 'Àpò olùkọ́ni kan nílò orúkọ.',
+            'error.coachPackEmpty': 'Àpò olùkọ́ni yìí kò ní ọ̀rọ̀ kankan.',
+            
+            'update.available': 'Ẹ̀dà tuntun olùkọ́ náà ti dé.',
+            'update.reload': 'Tún un gbé',
+            'update.reloadConfirm': 'Títún ojú-ìwé gbé yóò pa ẹ̀kọ́ tó ń lọ lọ́wọ́ tì. Ṣé kí a tẹ̀síwájú?',
+            'update.later': 'Nígbà míì',
+            
+            'profile.label': 'Àkọsílẹ̀ akẹ́kọ̀ọ́',
+            'profile.new': 'Tuntun',
+            'profile.newTitle': 'Ṣẹ̀dá àkọsílẹ̀ akẹ́kọ̀ọ́ tuntun',
+            'profile.export': 'Gbé jáde',
+            'profile.exportTitle': 'Ṣe ìgbàsílẹ̀ ìlọsíwájú àkọsílẹ̀ yìí',
+            'profile.import': 'Gbé wọlé',
+            'profile.importTitle': 'Gbé àkọsílẹ̀ wọlé láti inú fáìlì ẹ̀dà ìpamọ́',
+            'profile.csv': 'CSV',
+            'profile.csvTitle': 'Ṣe ìgbàsílẹ̀ ìtàn ìdánrawò gẹ́gẹ́ bí CSV',
+            'profile.delete': 'Pa rẹ́',
+            'profile.deleteTitle': 'Pa àkọsílẹ̀ yìí rẹ́',
+            'profile.namePrompt': 'Orúkọ fún àkọsílẹ̀ akẹ́kọ̀ọ́ tuntun:',
+            'profile.switchConfirm': 'Yíyí àkọsílẹ̀ padà yóò pa ẹ̀kọ́ tó ń lọ lọ́wọ́ tì. Ṣé kí a tẹ̀síwájú?',
+            'profile.deleteConfirm': 'Ṣé kí a pa àkọsílẹ̀ "{name}" rẹ́ pẹ̀lú gbogbo ìlọsíwájú àti ìtàn rẹ̀?',
+            'profile.imported.one': 'A ti gbé "{name}" wọlé pẹ̀lú ìdánrawò {count}.',
+            'profile.imported.other': 'A ti gbé "{name}" wọlé pẹ̀lú ìdánrawò {count}.',
+            
+            'stats.wpm': 'ỌNÌ:',
+            'stats.accuracy': 'Ìpéye:',
+            'stats.level': 'Ìpele:',
+            
+            'settings.language': 'Èdè',
+            'settings.languageConfirm': 'Yíyí èdè padà yóò pa ẹ̀kọ́ tó ń lọ lọ́wọ́ tì. Ṣé kí a tẹ̀síwájú?',
+            'settings.layout': 'Ètò bọ́tìnnì àtẹ̀wé',
+            'settings.errorMode': 'Ọ̀nà àṣìṣe',
+            'settings.coach': 'Olùkọ́ni',
+            'settings.coachLoad': 'Gbé e wọlé',
+            'settings.coachLoadTitle': 'Gbé àpò olùkọ́ni wọlé láti inú fáìlì JSON',
+            'settings.coachLoaded': 'A ti gbé olùkọ́ni "{name}" wọlé.',
+            'settings.accessible': 'Ọ̀nà ìrọ̀rùn',
+            'settings.accessibleTitle': 'Ìkéde fún ẹ̀rọ ìkàwé ojú-ìwé, àmì àṣìṣe tí kò gbára lé àwọ̀, àti ìdínkù ìṣípòpadà',
+            
+            'errorMode.free': 'Òmìnira (àṣìṣe ń tẹ̀síwájú)',
+            'errorMode.stop': 'Dúró ní àṣìṣe',
+            'errorMode.correct': 'Gbọ́dọ̀ ṣàtúnṣe àṣìṣe',
+            'errorMode.sudden-death': 'Ikú òjijì',
+            'errorMode.restarted': 'O ṣàṣìṣe {char} — à ń bẹ̀rẹ̀ lọ́tun.',
+            'errorMode.blocked': 'Tẹ {char} láti tẹ̀síwájú.',
+            'errorMode.mustCorrect.one': 'Ṣàtúnṣe àṣìṣe {count} pẹ̀lú Backspace láti parí.',
+            'errorMode.mustCorrect.other': 'Ṣàtúnṣe àṣìṣe {count} pẹ̀lú Backspace láti parí.',
+            'key.space': 'Àlàfo',
+            'key.enter': 'Enter',
+            
+            'level.choose': 'Yan ìpele rẹ',
+            'level.beginner': 'Olùbẹ̀rẹ̀',
+            'level.intermediate': 'Agbedeméjì',
+            'level.advanced': 'Onípele gíga',
+            'level.master': 'Ọ̀gá',
+            'level.promoted': 'O ti gòkè sí {level}! Ìwọ̀n rẹ jẹ́ ỌNÌ {wpm} pẹ̀lú ìpéye {accuracy}% nínú ìdánrawò {sessions} tó kẹ́yìn.',
+            'level.demoted': 'O ti padà sí {level}! Ìwọ̀n rẹ jẹ́ ỌNÌ {wpm} pẹ̀lú ìpéye {accuracy}% nínú ìdánrawò {sessions} tó kẹ́yìn. Ẹ jẹ́ ká tún ìpìlẹ̀ rẹ kọ́.',
+            
+            'lessons.title': 'Àwọn ẹ̀kọ́',
+            'lessons.custom': 'Ẹ̀kọ́ àdáni',
+            'drill.weakKeys': 'Ìdánrawò bọ́tìnnì aláìlágbára',
+            'drill.weakKeysDescription': 'Ọ̀rọ̀ tó dojú kọ bọ́tìnnì tó yẹ fún àtúnyẹ̀wò: {keys}',
+            'drill.weakKeysNone': 'Kò sí bọ́tìnnì tó yẹ fún àtúnyẹ̀wò lónìí - ìdánrawò ọ̀rọ̀ gbogbogbòò',
+            'drill.random': 'Ìdánrawò àìròtẹ́lẹ̀',
+            'drill.randomDescription': 'Àkópọ̀ tuntun ti àwọn ọ̀rọ̀ tí a máa ń lò ní gbogbo ìgbà',
+            'drill.contrast': 'Ìdánrawò ìyàtọ̀',
+            'drill.contrastDescription': 'Àwọn lẹ́tà tí o máa ń dàrú: {pairs}',
+            'drill.contrastNone': 'Kò tíì sí ìdàrú kankan - ìdánrawò ọ̀rọ̀ gbogbogbòò',
+            
+            'code.title': 'Ìdánrawò kóòdù',
+            'code.language': 'Èdè',
+            'code.snippet': 'Àyọkà',
+            'code.indentation': 'Ìfàsẹ́yìn',
+            'code.typeIndent': 'Tẹ ìfàsẹ́yìn',
+            'code.skipIndent': 'Fo ìfàsẹ́yìn',
+            'code.load': 'Gbé àyọkà wọlé',
+            'code.brackets': 'Àkámọ́',
+            'code.quotes': 'Àmì àyọlò',
+            'code.operators': 'Àmì ìṣirò',
+            'code.noSymbols': 'Kò sí àmì kankan nínú àyọkà yìí',
+            'code.weakest': '{summary} — èyí tó ṣòro jù: {symbols}',
+            
+            'timed.title': 'Ìdánwò aláàkókò',
+            'timed.lessonTitle': 'Ìdánwò ìṣẹ́jú-àáyá {seconds}',
+            'timed.best': '{seconds}s: ỌNÌ {wpm} ({raw} láìtúnṣe, {accuracy}%)',
+            'timed.personalBest': 'Àmì ayò tuntun fún ìdánwò ìṣẹ́jú-àáyá {seconds}!',
+            
+            'ghost.label': 'Iwin',
+            'ghost.toggle': 'Sáré pẹ̀lú iwin mi',
+            'ghost.toggleTitle': 'Sáré pẹ̀lú àtúnwò ìgbìyànjú rẹ tó dára jù lórí ẹ̀kọ́ kan náà',
+            'ghost.saved': 'A ti fi iwin pamọ́. Sáré pẹ̀lú ìgbìyànjú yìí nígbà míì!',
+            'ghost.newBest': 'Àmì ayò tuntun: ỌNÌ {wpm}! Iwin rẹ yóò máa sáré ìgbìyànjú yìí báyìí.',
+            'ghost.kept': 'Iwin rẹ ṣì ní àmì ayò ỌNÌ {wpm}.',
+            
+            'race.title': 'Eré ìje LAN',
+            'race.server': 'Sáfà',
+            'race.name': 'Orúkọ rẹ',
+            'race.room': 'Kóòdù yàrá',
+            'race.roomPlaceholder': 'Fi sílẹ̀ lófo láti ṣẹ̀dá yàrá',
+            'race.join': 'Darapọ̀',
+            'race.start': 'Bẹ̀rẹ̀ eré ìje',
+            'race.leave': 'Kúrò',
+            'race.connecting': 'À ń sopọ̀…',
+            'race.joined': 'O wà ní yàrá {room}. Pín kóòdù náà kí àwọn míì lè darapọ̀.',
+            'race.disconnected': 'Ìsopọ̀ pẹ̀lú sáfà eré ìje ti já.',
+            'race.unreachable': 'A kò rí sáfà eré ìje náà.',
+            'race.badServer': 'Àdírẹ́sì sáfà yẹn kò tọ́.',
+            'race.pickLesson': 'Kọ́kọ́ yan ẹ̀kọ́ tàbí àyọkà kóòdù láti sáré lé lórí.',
+            'race.go': 'Ẹ lọ!',
+            'race.over': 'Eré ìje ti parí.',
+            'race.busy': 'Eré ìje kan ti bẹ̀rẹ̀, ṣùgbọ́n o kò ní kópa kí o lè parí ẹ̀kọ́ rẹ.',
+            'race.lessonTitle': 'Eré ìje: {title}',
+            'race.untitled': 'Aláìlákọlé',
+            'race.hostName': '{name} (agbàlejò)',
+            'race.wpmValue': 'ỌNÌ {wpm}',
+            'race.watching': 'Ó ń wòran',
+            'race.track': 'Ọ̀nà eré ìje',
+            'race.place': 'Ipò',
+            'race.player': 'Olùkópa',
+            'race.wpm': 'ỌNÌ',
+            'race.accuracy': 'Ìpéye',
+            'race.time': 'Àkókò',
+            'race.dnf': 'Kò parí',
+            'race.error.bad-message': 'Sáfà eré ìje kò gbọ́ ìbéèrè náà yé.',
+            'race.error.already-joined': 'O ti wà nínú yàrá kan tẹ́lẹ̀.',
+            'race.error.bad-room': 'Kóòdù yàrá jẹ́ lẹ́tà tàbí nọ́ńbà mẹ́rin sí mẹ́jọ.',
+            'race.error.no-room': 'Kò sí yàrá tí ó ní kóòdù yẹn.',
+            'race.error.room-full': 'Yàrá yìí ti kún.',
+            'race.error.not-host': 'Agbàlejò nìkan ló lè bẹ̀rẹ̀ eré ìje.',
+            'race.error.race-running': 'Eré ìje kan ti ń lọ lọ́wọ́.',
+            'race.error.no-text': 'Kọ́kọ́ yan ẹ̀kọ́ láti sáré lé lórí.',
+            'race.error.not-joined': 'Kọ́kọ́ darapọ̀ mọ́ yàrá kan.',
+            
+            'progress.title': 'Ìlọsíwájú rẹ',
+            'progress.view': 'Wo ìlọsíwájú',
+            'progress.keysToPractice': 'Bọ́tìnnì láti dánrawò',
+            'progress.keyDue': 'Àṣìṣe {errors} láìpẹ́, àtúnyẹ̀wò ní {date}',
+            'progress.trend': 'Ìtẹ̀sí ỌNÌ àti ìpéye',
+            'progress.practice': 'Àkókò ìdánrawò ojoojúmọ́',
+            'progress.lessonBests': 'Àmì ayò ẹ̀kọ́',
+            'progress.empty': 'Parí ẹ̀kọ́ kan láti rí ìtẹ̀sí rẹ',
+            'progress.lesson': 'Ẹ̀kọ́',
+            'progress.bestWpm': 'ỌNÌ tó ga jù',
+            'progress.bestAccuracy': 'Ìpéye tó ga jù',
+            'progress.sessions': 'Ìdánrawò',
+            
+            'analytics.title': 'Bọ́tìnnì, ìyípadà àti ìka',
+            'analytics.sessionTitle': 'Àyẹ̀wò ìdánrawò',
+            'analytics.none': 'Tẹ̀wé díẹ̀ sí i láti rí àyẹ̀wò kíkún.',
+            'analytics.summary': 'Àkókò àárín bọ́tìnnì {latency}ms · ìwọ̀n àṣìṣe àpapọ̀ {errorRate}%',
+            'analytics.slowTransition': 'Ìyípadà "{ngram}" rẹ gba {latency}ms, ìlọ́po {ratio}× ti àárín rẹ.',
+            'analytics.fingerErrors': '{finger} rẹ ní ìlọ́po {ratio}× ìwọ̀n àṣìṣe àpapọ̀.',
+            'analytics.keyErrors': 'O máa ń ṣàṣìṣe "{key}" ní ìlọ́po {ratio}× ti bọ́tìnnì àpapọ̀.',
+            'analytics.transition': 'Ìyípadà',
+            'analytics.key': 'Bọ́tìnnì',
+            'analytics.finger': 'Ìka',
+            'analytics.latency': 'Àkókò àpapọ̀',
+            'analytics.vsMedian': 'sí àárín',
+            'analytics.vsAverage': 'sí àpapọ̀',
+            'analytics.errorRate': 'Ìwọ̀n àṣìṣe',
+            'analytics.ms': '{latency}ms',
+            'analytics.ratio': '{ratio}×',
+            'confusion.title': 'Àwọn ìdàrú tó wọ́pọ̀ jù',
+            'confusion.none': 'Kò sí ìdàrú kankan láti ròyìn.',
+            'confusion.expected': 'Èyí tí a retí',
+            'confusion.typed': 'Èyí tí o tẹ̀',
+            'confusion.count': 'Iye ìgbà',
+            'confusion.kind': 'Irú',
+            'confusion.type.case': 'Lẹ́tà ńlá tàbí Shift',
+            'confusion.type.adjacent': 'Bọ́tìnnì ẹ̀gbẹ́',
+            'confusion.type.same-finger': 'Ìka kan náà',
+            'confusion.type.other': 'Òmíràn',
+            'confusion.typeCount': '{type}: {count}',
+            'fingerName.left-pinky': 'ọmọdìnrín òsì',
+            'fingerName.left-ring': 'ìka òrùka òsì',
+            'fingerName.left-middle': 'ìka àárín òsì',
+            'fingerName.left-index': 'ìka ìfábẹ̀lá òsì',
+            'fingerName.thumb': 'àtàǹpàkò',
+            'fingerName.right-index': 'ìka ìfábẹ̀lá ọ̀tún',
+            'fingerName.right-middle': 'ìka àárín ọ̀tún',
+            'fingerName.right-ring': 'ìka òrùka ọ̀tún',
+            'fingerName.right-pinky': 'ọmọdìnrín ọ̀tún',
+            'badge.progress': '{description} ({current} / {target})',
+            'badge.first-lesson.name': 'Ìgbésẹ̀ àkọ́kọ́',
+            'badge.first-lesson.description': 'O parí ẹ̀kọ́ àkọ́kọ́ rẹ',
+            'badge.persistent.name': 'Aláìsinmi',
+            'badge.persistent.description': 'O parí ẹ̀kọ́ mẹ́wàá',
+            'badge.dedicated.name': 'Olùfọkànsìn',
+            'badge.dedicated.description': 'O parí ẹ̀kọ́ mẹ́ẹ̀ẹ́dọ́gbọ̀n',
+            'badge.wpm-20.name': 'Ẹgbẹ́ ỌNÌ 20',
+            'badge.wpm-20.description': 'O dé ỌNÌ 20',
+            'badge.wpm-40.name': 'Ẹgbẹ́ ỌNÌ 40',
+            'badge.wpm-40.description': 'O dé ỌNÌ 40',
+            'badge.wpm-60.name': 'Ẹgbẹ́ ỌNÌ 60',
+            'badge.wpm-60.description': 'O dé ỌNÌ 60',
+            'badge.wpm-80.name': 'Ẹgbẹ́ ỌNÌ 80',
+            'badge.wpm-80.description': 'O dé ỌNÌ 80',
+            'badge.accuracy-90.name': 'Atamátàsé',
+            'badge.accuracy-90.description': 'O ní ìpéye 90%',
+            'badge.accuracy-95.name': 'Ọ̀gá ìpéye',
+            'badge.accuracy-95.description': 'O ní ìpéye 95%',
+            'badge.perfectionist.name': 'Aláìlábùkù',
+            'badge.perfectionist.description': 'Ìpéye 100% lórí ẹ̀kọ́ kan',
+            'badge.home-row-hero.name': 'Akọni ìlà àárín',
+            'badge.home-row-hero.description': 'O tẹ Home Row Basics ní ỌNÌ 25',
+            'badge.steady-hands.name': 'Ọwọ́ tó dúró ṣinṣin',
+            'badge.steady-hands.description': 'Ẹ̀kọ́ márùn-ún léraléra ní ìpéye 95%',
+            'badge.on-a-roll.name': 'Ó ń lọ geere',
+            'badge.on-a-roll.description': 'Ẹ̀kọ́ mẹ́ta léraléra ní ỌNÌ 40',
+            'badge.advanced-regular.name': 'Olùdánrawò ìpele gíga',
+            'badge.advanced-regular.description': 'O parí ẹ̀kọ́ ìpele gíga mẹ́wàá',
+            'badge.master.name': 'Ọ̀gá ìtẹ̀wé',
+            'badge.master.description': 'O dé ìpele Ọ̀gá',
+            'badge.streak-3.name': 'Ìṣe tuntun',
+            'badge.streak-3.description': 'O pé àfojúsùn ojoojúmọ́ rẹ fún ọjọ́ mẹ́ta léraléra',
+            'badge.streak-7.name': 'Jagunjagun ọ̀sẹ̀',
+            'badge.streak-7.description': 'O pé àfojúsùn ojoojúmọ́ rẹ fún ọjọ́ méje léraléra',
+            'badge.streak-30.name': 'Eré ìje oṣù',
+            'badge.streak-30.description': 'O pé àfojúsùn ojoojúmọ́ rẹ fún ọgbọ̀n ọjọ́ léraléra',
+            
+            'goal.title': 'Àfojúsùn ojoojúmọ́',
+            'goal.amount': 'Iye àfojúsùn ojoojúmọ́',
+            'goal.unit': 'Ìwọ̀n àfojúsùn ojoojúmọ́',
+            'goal.minutesPerDay': 'ìṣẹ́jú lójúmọ́',
+            'goal.lessonsPerDay': 'ẹ̀kọ́ lójúmọ́',
+            'goal.minutes.one': 'ìṣẹ́jú {count}',
+            'goal.minutes.other': 'ìṣẹ́jú {count}',
+            'goal.lessons.one': 'ẹ̀kọ́ {count}',
+            'goal.lessons.other': 'ẹ̀kọ́ {count}',
+            'goal.met': 'O ti pé àfojúsùn òní: {amount} ✓',
+            'goal.today': 'Òní: {count} nínú {target}',
+            'goal.streak': '🔥 Ọjọ́ léraléra:',
+            'goal.longest': 'Èyí tó gùn jù:',
+            'goal.days.one': 'ọjọ́ {count}',
+            'goal.days.other': 'ọjọ́ {count}',
+            'goal.calendarDay': '{date}: {amount}',
+            'goal.remindAt': 'Rán mi létí ní',
+            'goal.noNotifications': 'Aṣàwákiri yìí kò ṣe àtìlẹ́yìn fún ìfitónilétí.',
+            'goal.permissionNeeded': 'Ìránnilétí nílò àṣẹ láti fi ìfitónilétí hàn.',
+            'goal.reminder': 'Ó ku {amount} kí o tó pé àfojúsùn òní. Má ṣe jẹ́ kí ọjọ́ léraléra rẹ já!',
+            
+            'metrics.wpm': 'ỌNÌ',
+            'metrics.accuracy': 'Ìpéye',
+            'metrics.time': 'Àkókò',
+            'metrics.errors': 'Àṣìṣe',
+            
+            'typing.prompt': 'Tẹ "Bẹ̀rẹ̀ ẹ̀kọ́" láti bẹ̀rẹ̀ ìdánrawò',
+            'typing.placeholder': 'Bẹ̀rẹ̀ sí í tẹ̀wé níbí...',
+            'typing.textLabel': 'Ọ̀rọ̀ ẹ̀kọ́',
+            'a11y.next': 'Èyí tó kàn: {char}',
+            'a11y.error': 'O tẹ {typed}, a retí {char}.',
+            'a11y.complete': 'Ẹ̀kọ́ ti parí. ỌNÌ {wpm} pẹ̀lú ìpéye {accuracy}%.',
+            'keyboard.heatmap': 'Fi àwòrán àṣìṣe hàn',
+            'keyboard.errors.one': 'àṣìṣe {count}',
+            'keyboard.errors.other': 'àṣìṣe {count}',
+            'finger.left-pinky': 'Ọmọdìnrín Òsì',
+            'finger.left-ring': 'Òrùka Òsì',
+            'finger.left-middle': 'Àárín Òsì',
+            'finger.left-index': 'Ìfábẹ̀lá Òsì',
+            'finger.thumb': 'Àtàǹpàkò',
+            'finger.right-index': 'Ìfábẹ̀lá Ọ̀tún',
+            'finger.right-middle': 'Àárín Ọ̀tún',
+            'finger.right-ring': 'Òrùka Ọ̀tún',
+            'finger.right-pinky': 'Ọmọdìnrín Ọ̀tún',
+            
+            'controls.start': 'Bẹ̀rẹ̀ ẹ̀kọ́',
+            'controls.reset': 'Tún bẹ̀rẹ̀',
+            'controls.next': 'Ẹ̀kọ́ tó kàn',
+            'controls.newTest': 'Ìdánwò tuntun',
+            'controls.nextSnippet': 'Àyọkà tó kàn',
+            'controls.goToLevel': 'Lọ sí {level}',
+            'controls.replay': 'Àtúnwò',
+            
+            'results.title': 'Ẹ̀kọ́ ti parí!',
+            'results.finalWpm': 'ỌNÌ ìparí:',
+            'results.accuracy': 'Ìpéye:',
+            'results.time': 'Àkókò tí ó gbà:',
+            'results.errors': 'Àpapọ̀ àṣìṣe:',
+            'results.netWpm': 'ỌNÌ àpapọ̀:',
+            'results.rawWpm': 'ỌNÌ láìtúnṣe:',
+            'results.corrections': 'Tí a tún ṣe / Tí a kò tún ṣe:',
+            'results.kps': 'Bọ́tìnnì ní ìṣẹ́jú-àáyá kan:',
+            'results.consistency': 'Ìdúróṣinṣin:',
+            
+            'editor.title': 'Ẹ̀kọ́ àdáni',
+            'editor.lessonTitle': 'Àkọlé',
+            'editor.description': 'Àpèjúwe',
+            'editor.level': 'Ìpele',
+            'editor.text': 'Ọ̀rọ̀',
+            'editor.textPlaceholder': 'Tẹ tàbí lẹ ọ̀rọ̀ ẹ̀kọ́ síbí...',
+            'editor.file': 'Tàbí gbé fáìlì .txt tàbí .md wọlé',
+            'editor.split': 'Pín in sí àwọn apá tó tó ẹ̀kọ́ kan',
+            'editor.save': 'Fi ẹ̀kọ́ pamọ́',
+            'editor.clear': 'Pa á rẹ́',
+            'editor.yourLessons': 'Àwọn ẹ̀kọ́ rẹ',
+            'editor.none': 'Kò tíì sí ẹ̀kọ́ àdáni kankan.',
+            'editor.edit': 'Ṣàtúnṣe',
+            'editor.delete': 'Pa rẹ́',
+            'editor.deleteConfirm': 'Ṣé kí a pa "{title}" rẹ́?',
+            'editor.exportCourse': 'Gbé ètò ẹ̀kọ́ jáde',
+            'editor.importCourse': 'Gbé ètò ẹ̀kọ́ wọlé',
+            'editor.imported.one': 'A ti gbé ẹ̀kọ́ {count} wọlé.',
+            'editor.imported.other': 'A ti gbé ẹ̀kọ́ {count} wọlé.',
+            
+            'common.close': 'Pa á dé',
+            'badge.earned': 'O ti gba àmì ẹ̀yẹ!'
+        },
+        curriculum: {
+            beginner: [
+                {
+                    id: 'yo-letters-1',
+                    title: 'Ẹ, Ọ àti Ṣ',
+                    description: 'Àwọn lẹ́tà tí ó ní àmì nísàlẹ̀',
+                    text: 'ẹja ọmọ ṣé ẹgbẹ́ ọjà ọ̀rẹ́ ẹ̀kọ́ ṣọ́ọ̀ṣì ẹ̀gbọ́n ọwọ́'
+                },
+                {
+                    id: 'yo-tones-1',
+                    title: 'Àmì ohùn',
+                    description: 'Àmì ohùn òkè àti ohùn ìsàlẹ̀',
+                    text: 'bàbá ìyá ilé omi ìwé àgbẹ̀ ọ̀sán alẹ́ òní àná ọ̀la'
+                }
+            ],
+            intermediate: [
+                {
+                    id: 'yo-greetings-1',
+                    title: 'Ìkíni',
+                    description: 'Ìkíni ojoojúmọ́',
+                    text: 'Ẹ kú àárọ̀. Ẹ kú ọ̀sán. Ẹ kú alẹ́. Báwo ni? Dáadáa ni. Ẹ ṣé o.'
+                },
+                {
+                    id: 'yo-intro-1',
+                    title: 'Ìfihàn ara ẹni',
+                    description: 'Bí a ṣe ń fi ara ẹni hàn',
+                    text: 'Orúkọ mi ni Adé. Mo ń kọ́ èdè Yorùbá. Kí ni orúkọ rẹ?'
+                }
+            ],
+            advanced: [
+                {
+                    id: 'yo-proverbs-1',
+                    title: 'Òwe',
+                    description: 'Àwọn òwe Yorùbá tí gbogbo ènìyàn mọ̀',
+                    text: "Ìwà l'ẹwà. Iṣẹ́ ni oògùn ìṣẹ́. Àgbájọ ọwọ́ la fi ń sọ̀yà."
+                }
+            ],
+            master: [
+                {
+                    id: 'yo-market-1',
+                    title: 'Ní ọjà',
+                    description: 'Ìrìn àjò lọ sí ọjà',
+                    text: 'Mo ń lọ sí ọjà láti ra ẹja, ata àti iṣu. Ọjà náà kún fún èrò lónìí.'
+                }
+            ]
+        }
+    }
+};
+
+
+// ============================================================================
+// INTERNATIONALIZATION
+// ============================================================================
+
+const I18n = (function() {
+    'use strict';
+    
+    const DEFAULT_LOCALE = 'en';
+    
+    let locale = DEFAULT_LOCALE;
+    const pluralRules = {};
+    
+    function hasOwn(object, key) {
+        return Object.prototype.hasOwnProperty.call(object, key);
+    }
+    
+    /**
+     * Pick the first supported locale from the browser's languages
+     */
+    function detectLocale() {
+        const languages = (typeof navigator !== 'undefined' && navigator.languages) || [];
+        const match = languages
+            .map(language => language.split('-')[0].toLowerCase())
+            .find(id => hasOwn(Locales, id));
+        return match || DEFAULT_LOCALE;
+    }
+    
+    function setLocale(id) {
+        locale = hasOwn(Locales, id) ? id : DEFAULT_LOCALE;
+    }
+    
+    function getLocale() {
+        return locale;
+    }
+    
+    /**
+     * Get the available locales
+     * @returns {Array} id and name of each locale
+     */
+    function list() {
+        return Object.keys(Locales).map(id => ({ id, name: Locales[id].name }));
+    }
+    
+    function pluralCategory(id, count) {
+        if (!pluralRules[id]) {
+            try {
+                pluralRules[id] = new Intl.PluralRules(id);
+            } catch (error) {
+                pluralRules[id] = { select: n => (n === 1 ? 'one' : 'other') };
+            }
+        }
+        return pluralRules[id].select(count);
+    }
+    
+    /**
+     * Find the template for a key in the current locale, then in English
+     */
+    function lookup(key, count) {
+        for (const id of [locale, DEFAULT_LOCALE]) {
+            const strings = Locales[id].strings;
+            if (count !== undefined) {
+                const form = `${key}.${pluralCategory(id, count)}`;
+                if (hasOwn(strings, form)) return strings[form];
+                if (hasOwn(strings, `${key}.other`)) return strings[`${key}.other`];
+            }
+            if (hasOwn(strings, key)) return strings[key];
+        }
+        return null;
+    }
+    
+    /**
+     * Translate a key and fill its {placeholders}. A count value picks the
+     * plural form (key.one, key.other). Unknown keys are returned as-is.
+     */
+    function t(key, values = {}) {
+        const template = lookup(key, values.count);
+        if (template === null) return key;
+        return template.replace(/\{(\w+)\}/g, (match, name) => (hasOwn(values, name) ? values[name] : match));
+    }
+    
+    /**
+     * Get the current locale's own lessons for a level
+     */
+    function getCurriculum(level) {
+        const curriculum = Locales[locale].curriculum;
+        return (curriculum && curriculum[level]) || [];
+    }
+    
+    /**
+     * Translate static page text. Elements name their key in data-i18n
+     * (text) or data-i18n-placeholder, data-i18n-title, data-i18n-aria-label.
+     */
+    function translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = t(element.dataset.i18n);
+        });
+        ['placeholder', 'title', 'aria-label'].forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+            });
+        });
+        document.documentElement.lang = locale;
+        document.title = t('app.title');
+    }
+    
+    return {
+        detectLocale,
+        setLocale,
+        getLocale,
+        list,
+        t,
+        getCurriculum,
+        translatePage
+    };
+})();
+
+// ============================================================================
+// MAIN APPLICATION
+// ============================================================================
+
+const TypingTutor = (function() {
+    'use strict';
+    
+    let currentLevel = 'beginner';
+    let currentLessonIndex = 0;
+    let currentText = '';
+    let currentPosition = 0;
+    let isTyping = false;
+    let typingTimer = null;
+    let charStates = [];
+    let typedText = '';
+    let erroredPositions = new Set();
+    let isComposing = false;
+    let pendingLevel = null;
+    let lastSessionLog = [];
+    let replayTimer = null;
+    let drillLessons = [];
+    let timedDuration = null;
+    let currentLayout = KeyboardLayouts.DEFAULT_LAYOUT;
+    let codeSession = null;
+    let skipIndentation = false;
+    let errorMode = 'free';
+    let isBlocked = false;
+    let dailyGoal = DailyGoals.normalizeGoal();
+    let reminders = { enabled: false, time: '18:00', lastShown: null };
+    let accessibleMode = false;
+    let pendingAnnouncement = '';
+    let ghostEnabled = true;
+    let ghost = null;
+    let ghostFrames = [];
+    let ghostPosition = 0;
+    let raceStart = null;
+    let ghostTimer = null;
+    let raceRoom = null;
+    let raceSession = null;
+    let raceCountdownTimer = null;
+    
+    // How often to check whether a practice reminder is due
+    const REMINDER_CHECK_MS = 60 * 1000;
+    
+    // How mistakes are handled while typing, stored with the user's settings
+    const ERROR_MODES = ['free', 'stop', 'correct', 'sudden-death'];
+    
+    // Keep at least this many characters ahead of the cursor in timed tests
+    const TIMED_TEXT_BUFFER = 60;
+    
+    // Length of generated drill text for each level
+    const DRILL_LENGTHS = {
+        beginner: 60,
+        intermediate: 100,
+        advanced: 150,
+        master: 200
+    };
+    
+    // Most frequent mix-ups practiced in the contrast drill
+    const CONTRAST_PAIRS = 3;
+    
+    // How often the ghost caret and race delta are redrawn
+    const GHOST_TICK_MS = 100;
+    
+    // How often the race countdown is redrawn
+    const RACE_TICK_MS = 100;
+    
+    // How long a download's object URL is kept. Revoking it right after
+    // the click can cancel the download in some browsers.
+    const DOWNLOAD_URL_LIFETIME_MS = 60 * 1000;
+    
+    // DOM Elements
+    const elements = {
+        installBtn: document.getElementById('install-btn'),
+        updateBanner: document.getElementById('update-banner'),
+        updateReloadBtn: document.getElementById('update-reload-btn'),
+        updateLaterBtn: document.getElementById('update-later-btn'),
+        profileSelect: document.getElementById('profile-select'),
+        profileNewBtn: document.getElementById('profile-new-btn'),
+        profileDeleteBtn: document.getElementById('profile-delete-btn'),
+        profileExportBtn: document.getElementById('profile-export-btn'),
+        profileImportFile: document.getElementById('profile-import-file'),
+        profileCsvBtn: document.getElementById('profile-csv-btn'),
+        levelButtons: document.querySelectorAll('.level-btn'),
+        languageSelect: document.getElementById('language-select'),
+        layoutSelect: document.getElementById('layout-select'),
+        errorModeSelect: document.getElementById('error-mode-select'),
+        coachSelect: document.getElementById('coach-select'),
+        coachPackFile: document.getElementById('coach-pack-file'),
+        timedButtons: document.querySelectorAll('.timed-btn'),
+        codeLanguage: document.getElementById('code-language'),
+        codeSnippet: document.getElementById('code-snippet'),
+        codeIndent: document.getElementById('code-indent'),
+        codeStartBtn: document.getElementById('code-start-btn'),
+        timedBests: document.getElementById('timed-bests'),
+        lessonList: document.getElementById('lesson-list'),
+        textContent: document.getElementById('text-content'),
+        modeNotice: document.getElementById('mode-notice'),
+        virtualKeyboard: document.getElementById('virtual-keyboard'),
+        heatmapToggle: document.getElementById('heatmap-toggle'),
+        accessibleToggle: document.getElementById('accessible-toggle'),
+        ghostToggle: document.getElementById('ghost-toggle'),
+        ghostMetric: document.getElementById('ghost-metric'),
+        ghostDisplay: document.getElementById('ghost-display'),
+        raceServer: document.getElementById('race-server'),
+        raceName: document.getElementById('race-name'),
+        raceRoomCode: document.getElementById('race-room'),
+        raceJoinBtn: document.getElementById('race-join-btn'),
+        raceStartBtn: document.getElementById('race-start-btn'),
+        raceLeaveBtn: document.getElementById('race-leave-btn'),
+        raceStatus: document.getElementById('race-status'),
+        raceTrack: document.getElementById('race-track'),
+        raceCountdown: document.getElementById('race-countdown'),
+        raceLanes: document.getElementById('race-lanes'),
+        raceResults: document.getElementById('race-results'),
+        announcer: document.getElementById('sr-announcer'),
+        lessonTextSr: document.getElementById('lesson-text-sr'),
+        typingInput: document.getElementById('typing-input'),
+        startBtn: document.getElementById('start-btn'),
+        resetBtn: document.getElementById('reset-btn'),
+        nextBtn: document.getElementById('next-btn'),
+        replayBtn: document.getElementById('replay-btn'),
+        replaySpeed: document.getElementById('replay-speed'),
+        resultsPanel: document.getElementById('results-panel'),
+        
+        // Metrics displays
+        wpmDisplay: document.getElementById('wpm-display'),
+        accuracyDisplay: document.getElementById('accuracy-display'),
+        timeDisplay: document.getElementById('time-display'),
+        errorsDisplay: document.getElementById('errors-display'),
+        currentWpm: document.getElementById('current-wpm'),
+        currentAccuracy: document.getElementById('current-accuracy'),
+        currentLevel: document.getElementById('current-level'),
+        
+        // Results
+        finalWpm: document.getElementById('final-wpm'),
+        finalAccuracy: document.getElementById('final-accuracy'),
+        finalTime: document.getElementById('final-time'),
+        finalErrors: document.getElementById('final-errors'),
+        finalRawWpm: document.getElementById('final-raw-wpm'),
+        finalNetWpm: document.getElementById('final-net-wpm'),
+        finalCorrections: document.getElementById('final-corrections'),
+        finalKps: document.getElementById('final-kps'),
+        finalConsistency: document.getElementById('final-consistency'),
+        personalBest: document.getElementById('personal-best'),
+        symbolAccuracy: document.getElementById('symbol-accuracy'),
+        sessionAnalytics: document.getElementById('session-analytics'),
+        sessionConfusions: document.getElementById('session-confusions'),
+        levelChange: document.getElementById('level-change'),
+        performanceMessage: document.getElementById('performance-message'),
+        
+        // Progress
+        badgesContainer: document.getElementById('badges-container'),
+        goalTarget: document.getElementById('goal-target'),
+        goalType: document.getElementById('goal-type'),
+        goalStatus: document.getElementById('goal-status'),
+        currentStreak: document.getElementById('current-streak'),
+        longestStreak: document.getElementById('longest-streak'),
+        practiceCalendar: document.getElementById('practice-calendar'),
+        reminderToggle: document.getElementById('reminder-toggle'),
+        reminderTime: document.getElementById('reminder-time'),
+        weakKeysList: document.getElementById('weak-keys-list'),
+        
+        // Lesson editor
+        editorBtn: document.getElementById('editor-btn'),
+        editorOverlay: document.getElementById('editor-overlay'),
+        editorCloseBtn: document.getElementById('editor-close-btn'),
+        editorForm: document.getElementById('editor-form'),
+        customTitle: document.getElementById('custom-title'),
+        customDescription: document.getElementById('custom-description'),
+        customLevel: document.getElementById('custom-level'),
+        customText: document.getElementById('custom-text'),
+        customSplit: document.getElementById('custom-split'),
+        customFile: document.getElementById('custom-file'),
+        customCancelBtn: document.getElementById('custom-cancel-btn'),
+        customLessonList: document.getElementById('custom-lesson-list'),
+        courseExportBtn: document.getElementById('course-export-btn'),
+        courseImportFile: document.getElementById('course-import-file'),
+        
+        // Progress view
+        progressBtn: document.getElementById('progress-btn'),
+        progressOverlay: document.getElementById('progress-overlay'),
+        progressCloseBtn: document.getElementById('progress-close-btn'),
+        trendChart: document.getElementById('trend-chart'),
+        practiceChart: document.getElementById('practice-chart'),
+        lessonBests: document.getElementById('lesson-bests'),
+        progressAnalytics: document.getElementById('progress-analytics'),
+        progressConfusions: document.getElementById('progress-confusions')
+    };
+    
+    /**
+     * Initialize the application
+     */
+    function init() {
+        renderProfileOptions();
+        setupEventListeners();
+        loadProfile();
+        setInterval(checkReminder, REMINDER_CHECK_MS);
+        OfflineSupport.register({
+            onUpdate: () => {
+                elements.updateBanner.style.display = '';
+            },
+            onInstallable: (available) => {
+                elements.installBtn.style.display = available ? '' : 'none';
+            }
+        });
+    }
+    
+    /**
+     * Load the active learner's settings, lessons and progress
+     */
+    function loadProfile() {
+        loadSettings();
+        generateDrillLessons();
+        renderLanguageOptions();
+        renderLayoutOptions();
+        renderErrorModeOptions();
+        renderCoachOptions();
+        renderCodeOptions();
+        VirtualKeyboard.render(elements.virtualKeyboard, KeyboardLayouts.get(currentLayout));
+        selectLevel('beginner');
+        updateUI();
+        loadProgress();
+        seedPracticeDays();
+        checkReminder();
+    }
+    
+    /**
+     * Setup all event listeners
+     */
+    function setupEventListeners() {
+        // App install and updates
+        elements.installBtn.addEventListener('click', () => {
+            elements.installBtn.style.display = 'none';
+            OfflineSupport.install();
+        });
+        elements.updateReloadBtn.addEventListener('click', () => {
+            // The page reloads once the new version takes over
+            if ((isTyping || raceCountdownTimer) && !confirm(I18n.t('update.reloadConfirm'))) return;
+            OfflineSupport.applyUpdate();
+        });
+        elements.updateLaterBtn.addEventListener('click', () => {
+            elements.updateBanner.style.display = 'none';
+        });
+        
+        // Learner profiles
+        elements.profileSelect.addEventListener('change', (e) => {
+            switchProfile(e.target.value);
+        });
+        elements.profileNewBtn.addEventListener('click', createProfile);
+        elements.profileDeleteBtn.addEventListener('click', deleteProfile);
+        elements.profileExportBtn.addEventListener('click', exportProfile);
+        elements.profileImportFile.addEventListener('change', importProfile);
+        elements.profileCsvBtn.addEventListener('click', exportHistoryCSV);
+        
+        // Level selection
+        elements.levelButtons.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const level = e.target.dataset.level;
+                selectLevel(level);
+            });
+        });
+        
+        // Language selection
+        elements.languageSelect.addEventListener('change', (e) => {
+            selectLocale(e.target.value);
+        });
+        
+        // Keyboard layout selection
+        elements.layoutSelect.addEventListener('change', (e) => {
+            selectLayout(e.target.value);
+        });
+        
+        // Error mode selection
+        elements.errorModeSelect.addEventListener('change', (e) => {
+            errorMode = e.target.value;
+            saveSetting('errorMode', errorMode);
+        });
+        
+        // Code mode selection
+        elements.codeLanguage.addEventListener('change', renderCodeSnippetOptions);
+        elements.codeIndent.addEventListener('change', (e) => {
+            skipIndentation = e.target.value === 'skip';
+            saveSetting('skipIndentation', skipIndentation);
+        });
+        elements.codeStartBtn.addEventListener('click', () => {
+            selectCodeSnippet(elements.codeLanguage.value, parseInt(elements.codeSnippet.value, 10));
+        });
+        
+        // Timed test selection
+        elements.timedButtons.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                selectTimedTest(parseInt(e.target.dataset.duration, 10));
+            });
+        });
+        
+        // Control buttons
+        elements.startBtn.addEventListener('click', startLesson);
+        elements.resetBtn.addEventListener('click', resetLesson);
+        elements.nextBtn.addEventListener('click', nextLesson);
+        elements.replayBtn.addEventListener('click', () => {
+            replaySession(lastSessionLog, parseFloat(elements.replaySpeed.value));
+        });
+        
+        // Typing input: the textarea only captures keystrokes, the text is ours
+        elements.typingInput.addEventListener('beforeinput', handleBeforeInput);
+        elements.typingInput.addEventListener('input', handleInput);
+        elements.typingInput.addEventListener('compositionstart', () => {
+            isComposing = true;
+        });
+        elements.typingInput.addEventListener('compositionend', handleCompositionEnd);
+        elements.typingInput.addEventListener('keydown', handleKeyDown);
+        elements.typingInput.addEventListener('paste', (e) => e.preventDefault());
+        elements.typingInput.addEventListener('drop', (e) => e.preventDefault());
+        elements.typingInput.addEventListener('select', keepCaretAtEnd);
+        elements.typingInput.addEventListener('mouseup', keepCaretAtEnd);
+        
+        // Coach personality
+        elements.coachSelect.addEventListener('change', (e) => {
+            FeedbackSystem.setCoach(e.target.value);
+            saveSetting('coach', FeedbackSystem.getCoach());
+        });
+        elements.coachPackFile.addEventListener('change', importCoachPack);
+        
+        // Daily goal and reminders
+        elements.goalTarget.addEventListener('change', updateDailyGoal);
+        elements.goalType.addEventListener('change', updateDailyGoal);
+        elements.reminderToggle.addEventListener('change', toggleReminders);
+        elements.reminderTime.addEventListener('change', (e) => {
+            reminders = { ...reminders, time: e.target.value || '18:00', lastShown: null };
+            saveSetting('reminders', reminders);
+        });
+        
+        // Keyboard error heatmap
+        elements.heatmapToggle.addEventListener('change', updateHeatmap);
+        
+        // Accessible mode
+        elements.accessibleToggle.addEventListener('change', (e) => {
+            setAccessibleMode(e.target.checked);
+            saveSetting('accessible', accessibleMode);
+        });
+        
+        // Ghost racing
+        elements.ghostToggle.addEventListener('change', (e) => {
+            ghostEnabled = e.target.checked;
+            saveSetting('ghost', ghostEnabled);
+        });
+        
+        // LAN races
+        elements.raceJoinBtn.addEventListener('click', joinRace);
+        elements.raceStartBtn.addEventListener('click', startRace);
+        elements.raceLeaveBtn.addEventListener('click', leaveRace);
+        
+        // Arrow key navigation of the level buttons and lesson list
+        elements.levelButtons.forEach((btn, index) => {
+            btn.addEventListener('keydown', (e) => {
+                const target = getRovingIndex(e.key, index, elements.levelButtons.length);
+                if (target === null) return;
+                e.preventDefault();
+                elements.levelButtons[target].focus();
+            });
+        });
+        elements.lessonList.addEventListener('keydown', handleLessonListKeydown);
+        
+        // Lesson editor
+        elements.editorBtn.addEventListener('click', showLessonEditor);
+        elements.editorCloseBtn.addEventListener('click', () => {
+            elements.editorOverlay.classList.remove('show');
+        });
+        elements.editorForm.addEventListener('submit', saveCustomLesson);
+        elements.customCancelBtn.addEventListener('click', clearLessonForm);
+        elements.customFile.addEventListener('change', loadLessonFile);
+        elements.customText.addEventListener('input', () => {
+            // Text typed or pasted by hand isn't the loaded Markdown file
+            delete elements.customFile.dataset.markdown;
+        });
+        elements.courseExportBtn.addEventListener('click', exportCourse);
+        elements.courseImportFile.addEventListener('change', importCourse);
+        
+        // Progress view
+        elements.progressBtn.addEventListener('click', showProgressView);
+        elements.progressCloseBtn.addEventListener('click', () => {
+            elements.progressOverlay.classList.remove('show');
+        });
+        
+        // Prevent context menu on typing area
+        elements.typingInput.addEventListener('contextmenu', (e) => e.preventDefault());
+    }
+    
+    /**
+     * Tell the user why something failed. Modules throw errors with a locale
+     * key as the message and any placeholder values in error.values; other
+     * errors, such as unreadable files, are shown as they are.
+     */
+    function showError(error) {
+        alert(I18n.t(error.message, error.values));
+    }
+    
+    /**
+     * Fill the profile switcher with the learner profiles
+     */
+    function renderProfileOptions() {
+        elements.profileSelect.innerHTML = '';
+        LearnerProfiles.list().forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            elements.profileSelect.appendChild(option);
+        });
+        elements.profileSelect.value = LearnerProfiles.getActiveId();
+    }
+    
+    /**
+     * Switch to another learner. A lesson in progress is abandoned.
+     * @param {boolean} confirmed - The learner already agreed to abandon it
+     */
+    function switchProfile(profileId, confirmed = false) {
+        if (isTyping && !confirmed && !confirm(I18n.t('profile.switchConfirm'))) {
+            elements.profileSelect.value = LearnerProfiles.getActiveId();
+            return;
+        }
+        
+        try {
+            LearnerProfiles.setActive(profileId);
+        } catch (error) {
+            showError(error);
+        }
+        renderProfileOptions();
+        loadProfile();
+    }
+    
+    function createProfile() {
+        const name = prompt(I18n.t('profile.namePrompt'));
+        if (name === null) return;
+        // Ask before the profile exists, so cancelling leaves nothing behind
+        if (isTyping && !confirm(I18n.t('profile.switchConfirm'))) return;
+        
+        try {
+            const profile = LearnerProfiles.create(name);
+            switchProfile(profile.id, true);
+        } catch (error) {
+            showError(error);
+        }
+    }
+    
+    /**
+     * Delete the active profile with its progress, lessons and history
+     */
+    function deleteProfile() {
+        const profile = LearnerProfiles.getActive();
+        if (!confirm(I18n.t('profile.deleteConfirm', { name: profile.name }))) return;
+        
+        try {
+            LearnerProfiles.remove(profile.id);
+        } catch (error) {
+            showError(error);
+            return;
+        }
+        SessionHistory.deleteSessions(profile.id);
+        renderProfileOptions();
+        loadProfile();
+    }
+    
+    /**
+     * Download the active learner's progress, badges, custom lessons and history
+     */
+    function exportProfile() {
+        const profile = LearnerProfiles.getActive();
+        
+        SessionHistory.getSessions().then(sessions => {
+            const backup = ProfileBackup.create({
+                profile,
+                progress: readProgress(),
+                customLessons: CustomLessons.getAll(),
+                sessions
+            });
+            downloadFile(`typing-profile-${profileSlug(profile)}.json`, backup, 'application/json');
+        });
+    }
+    
+    /**
+     * Download the active learner's session history for spreadsheets
+     */
+    function exportHistoryCSV() {
+        const profile = LearnerProfiles.getActive();
+        
+        SessionHistory.getSessions().then(sessions => {
+            downloadFile(`typing-history-${profileSlug(profile)}.csv`, ProfileBackup.sessionsToCSV(sessions), 'text/csv');
+        });
+    }
+    
+    function profileSlug(profile) {
+        return profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'learner';
+    }
+    
+    /**
+     * Import a profile backup as a new learner profile and switch to it
+     */
+    function importProfile(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+        
+        file.text().then(text => {
+            const backup = ProfileBackup.parse(text);
+            const previousId = LearnerProfiles.getActiveId();
+            const profile = LearnerProfiles.create(uniqueProfileName(backup.profile.name));
+            
+            // Data is written for the active profile, so the new profile is
+            // active only while it is written
+            let sessionsSaved;
+            try {
+                LearnerProfiles.setActive(profile.id);
+                writeProgress(backup.progress);
+                CustomLessons.importLessons(backup.customLessons);
+                sessionsSaved = Promise.all(backup.sessions.map(session => SessionHistory.addSession(session)));
+            } catch (error) {
+                sessionsSaved = Promise.reject(error);
+            }
+            LearnerProfiles.setActive(previousId);
+            
+            return sessionsSaved.then(() => {
+                renderProfileOptions();
+                switchProfile(profile.id);
+                alert(I18n.t('profile.imported', { name: profile.name, count: backup.sessions.length }));
+            }, error => {
+                // Don't leave a half-imported profile behind
+                LearnerProfiles.remove(profile.id);
+                SessionHistory.deleteSessions(profile.id);
+                throw error;
+            });
+        }).catch(error => {
+            showError(error);
+        }).then(() => {
+            e.target.value = '';
+        });
+    }
+    
+    /**
+     * Add a number to a profile name that is already taken, shortening
+     * the name so the number fits within the name length limit
+     */
+    function uniqueProfileName(name) {
+        const taken = LearnerProfiles.list().map(profile => profile.name.toLowerCase());
+        const base = String(name || '').trim().slice(0, LearnerProfiles.MAX_NAME_LENGTH);
+        let candidate = base;
+        for (let n = 2; taken.includes(candidate.toLowerCase()); n++) {
+            const suffix = ` (${n})`;
+            candidate = base.slice(0, LearnerProfiles.MAX_NAME_LENGTH - suffix.length).trimEnd() + suffix;
+        }
+        return candidate;
+    }
+    
+    /**
+     * Read the active learner's saved progress
+     */
+    function readProgress() {
+        return JSON.parse(DurableStorage.getItem(LearnerProfiles.storageKey('typingProgress')) || '{}');
+    }
+    
+    function writeProgress(progress) {
+        DurableStorage.setItem(LearnerProfiles.storageKey('typingProgress'), JSON.stringify(progress));
+    }
+    
+    /**
+     * Load user settings saved with progress
+     */
+    function loadSettings() {
+        const progress = readProgress();
+        const settings = progress.settings || {};
+        I18n.setLocale(settings.locale || I18n.detectLocale());
+        I18n.translatePage();
+        currentLayout = KeyboardLayouts.has(settings.layout) ? settings.layout : KeyboardLayouts.DEFAULT_LAYOUT;
+        skipIndentation = settings.skipIndentation === true;
+        errorMode = ERROR_MODES.includes(settings.errorMode) ? settings.errorMode : 'free';
+        FeedbackSystem.setCoach(settings.coach);
+        dailyGoal = DailyGoals.normalizeGoal(settings.dailyGoal);
+        reminders = { enabled: false, time: '18:00', lastShown: null, ...settings.reminders };
+        setAccessibleMode(settings.accessible === true);
+        ghostEnabled = settings.ghost !== false;
+        
+        elements.goalTarget.value = dailyGoal.target;
+        elements.goalType.value = dailyGoal.type;
+        elements.reminderToggle.checked = reminders.enabled;
+        elements.reminderTime.value = reminders.time;
+        elements.accessibleToggle.checked = accessibleMode;
+        elements.ghostToggle.checked = ghostEnabled;
+        elements.raceServer.value = settings.raceServer || RaceClient.getDefaultUrl();
+        elements.raceName.value = settings.raceName || LearnerProfiles.getActive().name;
+    }
+    
+    /**
+     * Turn accessible mode on or off: screen reader announcements while
+     * typing, error markers that don't rely on color, and reduced motion
+     */
+    function setAccessibleMode(enabled) {
+        accessibleMode = enabled;
+        document.body.classList.toggle('accessible-mode', enabled);
+        FeedbackSystem.setReducedMotion(enabled);
+        if (!enabled) announce('');
+    }
+    
+    /**
+     * Read a message out through the live region
+     */
+    function announce(message) {
+        elements.announcer.textContent = message;
+    }
+    
+    /**
+     * Announce the character to type next, after any pending error
+     */
+    function announceNext() {
+        if (!accessibleMode) return;
+        
+        const next = currentPosition < currentText.length ?
+            I18n.t('a11y.next', { char: describeChar(currentText[currentPosition]) }) : '';
+        announce([pendingAnnouncement, next].filter(Boolean).join(' '));
+        pendingAnnouncement = '';
+    }
+    
+    /**
+     * Save a single user setting with progress
+     */
+    function saveSetting(name, value) {
+        const progress = readProgress();
+        progress.settings = { ...progress.settings, [name]: value };
+        writeProgress(progress);
+    }
+    
+    /**
+     * Fill the language picker with the available locales
+     */
+    function renderLanguageOptions() {
+        elements.languageSelect.innerHTML = '';
+        I18n.list().forEach(locale => {
+            const option = document.createElement('option');
+            option.value = locale.id;
+            option.textContent = locale.name;
+            elements.languageSelect.appendChild(option);
+        });
+        elements.languageSelect.value = I18n.getLocale();
+    }
+    
+    /**
+     * Fill the layout picker with the available keyboard layouts
+     */
+    function renderLayoutOptions() {
+        elements.layoutSelect.innerHTML = '';
+        KeyboardLayouts.list().forEach(layout => {
+            const option = document.createElement('option');
+            option.value = layout.id;
+            option.textContent = layout.name;
+            elements.layoutSelect.appendChild(option);
+        });
+        elements.layoutSelect.value = currentLayout;
+    }
+    
+    /**
+     * Fill the error mode picker
+     */
+    function renderErrorModeOptions() {
+        elements.errorModeSelect.innerHTML = '';
+        ERROR_MODES.forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = I18n.t(`errorMode.${mode}`);
+            elements.errorModeSelect.appendChild(option);
+        });
+        elements.errorModeSelect.value = errorMode;
+    }
+    
+    /**
+     * Fill the coach picker with the built-in and loaded coaches
+     */
+    function renderCoachOptions() {
+        elements.coachSelect.innerHTML = '';
+        FeedbackSystem.getCoaches().forEach(coach => {
+            const option = document.createElement('option');
+            option.value = coach.id;
+            option.textContent = coach.name;
+            elements.coachSelect.appendChild(option);
+        });
+        elements.coachSelect.value = FeedbackSystem.getCoach();
+    }
+    
+    /**
+     * Load a coach pack from a JSON file and switch to it
+     */
+    function importCoachPack(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+        
+        file.text().then(text => {
+            const coach = FeedbackSystem.addCoachPack(text);
+            FeedbackSystem.setCoach(coach.id);
+            saveSetting('coach', coach.id);
+            renderCoachOptions();
+            alert(I18n.t('settings.coachLoaded', { name: coach.name }));
+        }).catch(error => {
+            showError(error);
+        }).then(() => {
+            e.target.value = '';
+        });
+    }
+    
+    /**
+     * Switch keyboard layout. This regenerates the beginner curriculum
+     * and redraws the virtual keyboard and finger mapping.
+     */
+    function selectLayout(layoutId) {
+        currentLayout = layoutId;
+        saveSetting('layout', layoutId);
+        
+        VirtualKeyboard.render(elements.virtualKeyboard, KeyboardLayouts.get(layoutId));
+        updateHeatmap();
+        
+        refreshLessonList();
+    }
+    
+    /**
+     * Switch the interface language and the curriculum that goes with it
+     */
+    function selectLocale(locale) {
+        // The curriculum changes with the language, which ends the lesson or race
+        if ((isTyping || raceCountdownTimer) && !confirm(I18n.t('settings.languageConfirm'))) {
+            elements.languageSelect.value = I18n.getLocale();
+            return;
+        }
+        
+        I18n.setLocale(locale);
+        saveSetting('locale', I18n.getLocale());
+        
+        I18n.translatePage();
+        renderErrorModeOptions();
+        generateDrillLessons();
+        VirtualKeyboard.render(elements.virtualKeyboard, KeyboardLayouts.get(currentLayout));
+        updateHeatmap();
+        
+        // Lesson indexes don't carry over between curricula
+        selectLevel(currentLevel);
+        updateUI();
+        if (raceRoom) renderRaceLanes();
+    }
+    
+    /**
+     * Select a difficulty level
+     */
+    function selectLevel(level) {
+        currentLevel = level;
+        currentLessonIndex = 0;
+        pendingLevel = null;
+        
+        // Update UI
+        elements.levelButtons.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.level === level);
+            btn.setAttribute('aria-pressed', btn.dataset.level === level);
+        });
+        
+        elements.currentLevel.textContent = formatLevel(level);
+        
+        loadLevel(level);
+        resetLesson();
+    }
+    
+    /**
+     * Load lessons for the current level
+     */
+    function loadLevel(level) {
+        const lessons = getLessons(level);
+        elements.lessonList.innerHTML = '';
+        
+        lessons.forEach((lesson, index) => {
+            const lessonElement = document.createElement('div');
+            lessonElement.className = 'lesson-item';
+            if (lesson.generated) lessonElement.classList.add('generated');
+            if (lesson.custom) lessonElement.classList.add('custom');
+            lessonElement.setAttribute('role', 'option');
+            lessonElement.tabIndex = -1;
+            lessonElement.innerHTML = `
+                <div class="lesson-title">${escapeHTML(lesson.title)}</div>
+                <div class="lesson-description">${escapeHTML(lesson.description)}</div>
+            `;
+            
+            lessonElement.addEventListener('click', () => {
+                selectLesson(index);
+            });
+            
+            elements.lessonList.appendChild(lessonElement);
+        });
+        
+        selectLesson(0);
+    }
+    
+    /**
+     * Get the lessons for a level: the built-in curriculum (generated for the
+     * keyboard layout at beginner level), the locale's lessons, the learner's
+     * custom lessons, then generated drills
+     */
+    function getLessons(level) {
+        const lessons = level === 'beginner' ? KeyboardLayouts.buildBeginnerLessons(currentLayout) :
+            CurriculumData[level] || [];
+        return lessons.concat(I18n.getCurriculum(level), CustomLessons.getByLevel(level), drillLessons.map(drill => ({
+            ...drill,
+            text: drill.texts[level]
+        })));
+    }
+    
+    /**
+     * Build the weak keys drill and random practice lessons from saved progress.
+     * Called on startup and whenever a lesson is picked so drills track the
+     * latest errors.
+     */
+    function generateDrillLessons() {
+        const progress = readProgress();
+        const dueWeights = SpacedRepetition.getDueWeights(getSchedule(progress));
+        const weakKeys = AdaptiveEngine.getProblematicKeys(dueWeights);
+        const pairs = TypingAnalytics.getConfusionReport(progress.confusions).substitutions
+            .filter(pair => pair.target.trim() !== '' && pair.typed.trim() !== '')
+            .slice(0, CONTRAST_PAIRS);
+        
+        const weakTexts = {};
+        const randomTexts = {};
+        const contrastTexts = {};
+        Object.keys(DRILL_LENGTHS).forEach(level => {
+            weakTexts[level] = AdaptiveEngine.generateSpacedRepetitionText(dueWeights, DRILL_LENGTHS[level]);
+            randomTexts[level] = AdaptiveEngine.generateRandomText(DRILL_LENGTHS[level]);
+            contrastTexts[level] = AdaptiveEngine.generateContrastText(pairs, DRILL_LENGTHS[level]);
+        });
+        
+        drillLessons = [
+            {
+                id: 'weak-keys-drill',
+                title: I18n.t('drill.weakKeys'),
+                description: weakKeys.length > 0 ?
+                    I18n.t('drill.weakKeysDescription', { keys: weakKeys.join(' ') }) :
+                    I18n.t('drill.weakKeysNone'),
+                texts: weakTexts,
+                generated: true
+            },
+            {
+                id: 'random-practice',
+                title: I18n.t('drill.random'),
+                description: I18n.t('drill.randomDescription'),
+                texts: randomTexts,
+                generated: true
+            },
+            {
+                id: 'contrast-drill',
+                title: I18n.t('drill.contrast'),
+                description: pairs.length > 0 ?
+                    I18n.t('drill.contrastDescription', {
+                        pairs: pairs.map(pair => `${pair.target}→${pair.typed}`).join(' ')
+                    }) :
+                    I18n.t('drill.contrastNone'),
+                texts: contrastTexts,
+                generated: true
+            }
+        ];
+    }
+    
+    /**
+     * Get the spaced repetition schedule from progress, seeding it from
+     * lifetime error totals for progress saved before scheduling existed
+     */
+    function getSchedule(progress) {
+        if (progress.repetition) return progress.repetition;
+        return SpacedRepetition.seedFromErrors(progress.errorsByKey || {});
+    }
+    
+    /**
+     * Regenerate drills and their descriptions in the lesson list. This
+     * waits until a lesson is picked, so a finished drill keeps the
+     * description of the text that was typed.
+     */
+    function refreshDrillLessons() {
+        generateDrillLessons();
+        
+        const lessons = getLessons(currentLevel);
+        const lessonElements = elements.lessonList.querySelectorAll('.lesson-item');
+        lessons.forEach((lesson, index) => {
+            const description = lessonElements[index] &&
+                lessonElements[index].querySelector('.lesson-description');
+            if (lesson.generated && description) {
+                description.textContent = lesson.description;
+            }
+        });
+    }
+    
+    /**
+     * Select a specific lesson
+     */
+    function selectLesson(index) {
+        refreshDrillLessons();
+        currentLessonIndex = index;
+        const lessons = getLessons(currentLevel);
+        const lesson = lessons[index];
+        
+        if (!lesson) return;
+        
+        timedDuration = null;
+        codeSession = null;
+        leaveRaceSession();
+        elements.timedButtons.forEach(btn => btn.classList.remove('active'));
+        // Compose accents typed as base letter plus combining mark
+        currentText = lesson.text.normalize('NFC');
+        currentPosition = 0;
+        charStates = [];
+        lastSessionLog = [];
+        
+        // Update lesson selection UI
+        document.querySelectorAll('.lesson-item').forEach((item, i) => {
+            item.classList.toggle('active', i === index);
+            item.setAttribute('aria-selected', i === index);
+            item.tabIndex = i === index ? 0 : -1;
+        });
+        
+        displayText();
+        resetLesson();
+    }
+    
+    /**
+     * Map a navigation key to the index to move focus to in a list,
+     * or null for keys that don't navigate
+     */
+    function getRovingIndex(key, index, count) {
+        switch (key) {
+            case 'ArrowDown':
+            case 'ArrowRight':
+                return (index + 1) % count;
+            case 'ArrowUp':
+            case 'ArrowLeft':
+                return (index - 1 + count) % count;
+            case 'Home':
+                return 0;
+            case 'End':
+                return count - 1;
+            default:
+                return null;
+        }
+    }
+    
+    /**
+     * Move through the lesson list with the arrow keys and pick a lesson
+     * with Enter or Space
+     */
+    function handleLessonListKeydown(e) {
+        const items = Array.from(elements.lessonList.querySelectorAll('.lesson-item'));
+        const index = items.indexOf(e.target.closest('.lesson-item'));
+        if (index === -1) return;
+        
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            selectLesson(index);
+            items[index].focus();
+            return;
+        }
+        
+        const target = getRovingIndex(e.key, index, items.length);
+        if (target === null) return;
+        e.preventDefault();
+        items.forEach((item, i) => {
+            item.tabIndex = i === target ? 0 : -1;
+        });
+        items[target].focus();
+    }
+    
+    /**
+     * Select a timed test. Text is streamed from the word generator
+     * and the session ends when the countdown reaches zero.
+     */
+    function selectTimedTest(duration) {
+        timedDuration = duration;
+        codeSession = null;
+        leaveRaceSession();
+        currentText = AdaptiveEngine.generateRandomText(TIMED_TEXT_BUFFER * 3);
+        currentPosition = 0;
+        charStates = [];
+        lastSessionLog = [];
+        
+        document.querySelectorAll('.lesson-item').forEach(item => item.classList.remove('active'));
+        elements.timedButtons.forEach(btn => {
+            btn.classList.toggle('active', parseInt(btn.dataset.duration, 10) === duration);
+        });
+        
+        displayText();
+        resetLesson();
+    }
+    
+    /**
+     * Fill the language and indentation pickers for code mode
+     */
+    function renderCodeOptions() {
+        elements.codeLanguage.innerHTML = '';
+        Object.keys(CodeSnippets).forEach(language => {
+            const option = document.createElement('option');
+            option.value = language;
+            option.textContent = CodeSnippets[language].name;
+            elements.codeLanguage.appendChild(option);
+        });
+        elements.codeIndent.value = skipIndentation ? 'skip' : 'type';
+        renderCodeSnippetOptions();
+    }
+    
+    function renderCodeSnippetOptions() {
+        const pack = CodeSnippets[elements.codeLanguage.value];
+        elements.codeSnippet.innerHTML = '';
+        if (!pack) return;
+        
+        pack.snippets.forEach((snippet, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = snippet.title;
+            elements.codeSnippet.appendChild(option);
+        });
+    }
+    
+    /**
+     * Select a multi-line code snippet. Newlines and indentation are kept,
+     * Enter types a line break and Tab types indentation.
+     */
+    function selectCodeSnippet(language, snippetIndex) {
+        const snippet = CodeSnippets[language].snippets[snippetIndex];
+        if (!snippet) return;
+        
+        codeSession = { language, snippetIndex };
+        timedDuration = null;
+        leaveRaceSession();
+        currentText = snippet.text;
+        currentPosition = 0;
+        charStates = [];
+        lastSessionLog = [];
+        
+        elements.codeLanguage.value = language;
+        renderCodeSnippetOptions();
+        elements.codeSnippet.value = snippetIndex;
+        document.querySelectorAll('.lesson-item').forEach(item => item.classList.remove('active'));
+        elements.timedButtons.forEach(btn => btn.classList.remove('active'));
+        
+        displayText();
+        resetLesson();
+    }
+    
+    /**
+     * When indentation is skipped, fill in leading whitespace at the start of
+     * each line. Filled characters are shown as skipped and are not scored.
+     */
+    function fillIndentation() {
+        if (!codeSession || !skipIndentation) return;
+        if (currentPosition > 0 && currentText[currentPosition - 1] !== '\n') return;
+        
+        while (currentPosition < currentText.length && /[ \t]/.test(currentText[currentPosition])) {
+            typedText += currentText[currentPosition];
+            charStates[currentPosition] = 'skipped';
+            currentPosition++;
+        }
+    }
+    
+    /**
+     * Type the indentation expected at the cursor when Tab is pressed in
+     * code mode. The whole indent counts as one keystroke.
+     */
+    function insertTab() {
+        let indent = '';
+        while (indent.length < 4 && currentText[currentPosition + indent.length] === ' ') {
+            indent += ' ';
+        }
+        
+        typeCharacters(indent || '\t', 1);
+    }
+    
+    /**
+     * Append more words so a timed test never runs out of text
+     */
+    function extendTimedText() {
+        while (currentText.length - currentPosition < TIMED_TEXT_BUFFER) {
+            currentText += ' ' + AdaptiveEngine.generateRandomText(TIMED_TEXT_BUFFER);
+        }
+    }
+    
+    /**
+     * Display the current text with highlighting
+     */
+    function displayText() {
+        if (!currentText) return;
+        
+        let html = '';
+        for (let i = 0; i < currentText.length; i++) {
+            const char = currentText[i];
+            let className = '';
+            
+            if (i < currentPosition) {
+                className = charStates[i] || 'correct';
+            } else if (i === currentPosition) {
+                className = isBlocked ? 'current blocked' : 'current';
+            }
+            if (ghost && i === ghostPosition) {
+                className += ' ghost';
+            }
+            
+            if (char === '\n') {
+                // Show a return marker and keep the line break
+                html += `<span class="char newline ${className}">↵</span>\n`;
+            } else {
+                html += `<span class="char ${className}">${char === ' ' ? '&nbsp;' : escapeHTML(char)}</span>`;
+            }
+        }
+        
+        elements.textContent.innerHTML = html;
+        if (elements.lessonTextSr.textContent !== currentText) {
+            elements.lessonTextSr.textContent = currentText;
+        }
+        VirtualKeyboard.highlightNext(currentText[currentPosition]);
+    }
+    
+    /**
+     * Start a typing lesson
+     */
+    function startLesson() {
+        if (!currentText) return;
+        
+        stopReplay();
+        isTyping = true;
+        isBlocked = false;
+        currentPosition = 0;
+        charStates = [];
+        typedText = '';
+        erroredPositions = new Set();
+        showModeNotice('');
+        
+        elements.typingInput.disabled = false;
+        elements.typingInput.value = '';
+        elements.typingInput.focus();
+        elements.startBtn.style.display = 'none';
+        elements.resetBtn.style.display = 'inline-block';
+        elements.resultsPanel.style.display = 'none';
+        elements.nextBtn.style.display = 'none';
+        
+        TypingMetrics.reset();
+        setupGhost();
+        fillIndentation();
+        syncInput();
+        displayText();
+        announceNext();
+        
+        // Timed tests start the countdown on the first keystroke
+        if (!timedDuration) {
+            startTimer();
+        }
+    }
+    
+    /**
+     * Reset the current lesson
+     */
+    function resetLesson() {
+        stopReplay();
+        isTyping = false;
+        isBlocked = false;
+        currentPosition = 0;
+        charStates = [];
+        typedText = '';
+        erroredPositions = new Set();
+        showModeNotice('');
+        
+        elements.typingInput.disabled = true;
+        elements.typingInput.value = '';
+        elements.startBtn.style.display = 'inline-block';
+        elements.resetBtn.style.display = 'none';
+        elements.resultsPanel.style.display = 'none';
+        elements.nextBtn.style.display = 'none';
+        elements.replayBtn.style.display = 'none';
+        elements.replaySpeed.style.display = 'none';
+        
+        TypingMetrics.reset();
+        stopGhost();
+        ghost = null;
+        elements.ghostMetric.style.display = 'none';
+        displayText();
+        updateMetricsDisplay();
+        stopTimer();
+        elements.timeDisplay.textContent = formatTime(timedDuration || 0);
+    }
+    
+    /**
+     * Start the current lesson over after a sudden-death mistake
+     */
+    function restartLesson(reason) {
+        stopTimer();
+        startLesson();
+        elements.timeDisplay.textContent = formatTime(timedDuration || 0);
+        showModeNotice(reason);
+    }
+    
+    /**
+     * Show a message about the active error mode below the text
+     */
+    function showModeNotice(message) {
+        elements.modeNotice.textContent = message;
+    }
+    
+    /**
+     * Move to the next lesson
+     */
+    function nextLesson() {
+        if (timedDuration) {
+            selectTimedTest(timedDuration);
+            return;
+        }
+        
+        if (codeSession) {
+            const snippets = CodeSnippets[codeSession.language].snippets;
+            selectCodeSnippet(codeSession.language, (codeSession.snippetIndex + 1) % snippets.length);
+            return;
+        }
+        
+        // A promotion or demotion from the last session takes priority
+        if (pendingLevel) {
+            selectLevel(pendingLevel);
+            return;
+        }
+        
+        const lessons = getLessons(currentLevel);
+        if (currentLessonIndex < lessons.length - 1) {
+            selectLesson(currentLessonIndex + 1);
+        } else {
+            // Try to advance to next level
+            const levels = AdaptiveEngine.getLevels();
+            const currentLevelIndex = levels.indexOf(currentLevel);
+            if (currentLevelIndex < levels.length - 1) {
+                selectLevel(levels[currentLevelIndex + 1]);
+            }
+        }
+    }
+    
+    /**
+     * Score typed characters at the cursor. Every keystroke is recorded
+     * exactly once. Input is normalized so composed accents (e + ´) match
+     * precomposed target characters (é). Mistakes are handled according
+     * to the selected error mode.
+     * @param {number} keystrokes - How many key presses typed the characters.
+     *     Characters beyond that are typed by the last press and not scored.
+     */
+    function typeCharacters(chars, keystrokes = Infinity) {
+        if (!isTyping) return;
+        
+        if (timedDuration && !typingTimer) {
+            startTimer();
+        }
+        
+        showModeNotice('');
+        
+        let scored = 0;
+        for (const typedChar of chars.normalize('NFC')) {
+            if (currentPosition >= currentText.length) break;
+            
+            const position = currentPosition;
+            const targetChar = currentText[position];
+            const isCorrect = typedChar === targetChar;
+            
+            if (scored < keystrokes) {
+                TypingMetrics.recordKeystroke(typedChar, isCorrect, targetChar, position);
+                scored++;
+            }
+            
+            if (!isCorrect) {
+                erroredPositions.add(position);
+                VirtualKeyboard.flashError(targetChar);
+                pendingAnnouncement = I18n.t('a11y.error', {
+                    typed: describeChar(typedChar),
+                    char: describeChar(targetChar)
+                });
+                
+                // Sudden death: the first mistake starts the lesson over
+                if (errorMode === 'sudden-death') {
+                    restartLesson(I18n.t('errorMode.restarted', { char: describeChar(targetChar) }));
+                    return;
+                }
+                
+                // Stop on error: the cursor waits for the right key
+                if (errorMode === 'stop') {
+                    isBlocked = true;
+                    showModeNotice(I18n.t('errorMode.blocked', { char: describeChar(targetChar) }));
+                    continue;
+                }
+            }
+            
+            // Corrected characters are re-scored and shown as corrected
+            if (isCorrect) {
+                charStates[position] = erroredPositions.has(position) ? 'corrected' : 'correct';
+            } else {
+                charStates[position] = 'incorrect';
+            }
+            
+            isBlocked = false;
+            typedText += typedChar;
+            currentPosition++;
+            
+            if (timedDuration) {
+                extendTimedText();
+            }
+            fillIndentation();
+        }
+        
+        afterInput();
+    }
+    
+    /**
+     * Name a target character for error mode messages
+     */
+    function describeChar(char) {
+        if (char === ' ') return I18n.t('key.space');
+        if (char === '\n') return I18n.t('key.enter');
+        return `"${char}"`;
+    }
+    
+    /**
+     * Count typed characters that are still wrong
+     */
+    function countUncorrectedErrors() {
+        return charStates.filter(state => state === 'incorrect').length;
+    }
+    
+    /**
+     * Delete typed characters before the cursor. Skipped indentation is
+     * removed together with the line break before it.
+     */
+    function deleteBackward(count) {
+        if (!isTyping) return;
+        
+        isBlocked = false;
+        for (let i = 0; i < count && currentPosition > 0; i++) {
+            while (currentPosition > 0 && charStates[currentPosition - 1] === 'skipped') {
+                currentPosition--;
+            }
+            if (currentPosition === 0) break;
+            
+            currentPosition--;
+            TypingMetrics.recordBackspace(currentPosition);
+        }
+        
+        typedText = typedText.slice(0, currentPosition);
+        charStates.length = currentPosition;
+        fillIndentation();
+        afterInput();
+    }
+    
+    /**
+     * Count characters back to the start of the previous word (Ctrl+Backspace).
+     * Skipped indentation isn't counted, as deleteBackward steps over it.
+     */
+    function wordLengthBeforeCursor() {
+        const typed = typedText.split('').filter((char, i) => charStates[i] !== 'skipped').join('');
+        const match = typed.match(/\S*\s*$/);
+        return Math.max(1, match ? match[0].length : 1);
+    }
+    
+    /**
+     * Update the display after the typed text changed
+     */
+    function afterInput() {
+        syncInput();
+        recordGhostFrame();
+        sendRaceProgress();
+        displayText();
+        updateMetricsDisplay();
+        announceNext();
+        
+        // Check if lesson is complete (timed tests end when the clock runs out)
+        if (isTyping && !timedDuration && currentPosition >= currentText.length) {
+            finishLesson();
+        }
+    }
+    
+    /**
+     * Mirror the typed text in the textarea with the caret at the end
+     */
+    function syncInput() {
+        if (elements.typingInput.value !== typedText) {
+            elements.typingInput.value = typedText;
+        }
+        keepCaretAtEnd();
+    }
+    
+    function keepCaretAtEnd() {
+        const end = elements.typingInput.value.length;
+        elements.typingInput.setSelectionRange(end, end);
+    }
+    
+    /**
+     * Route text edits through the typing model. The browser never edits
+     * the textarea itself, so mid-text edits, paste and drop are impossible.
+     * Composition (IME and dead keys) cannot be cancelled and is scored on compositionend.
+     */
+    function handleBeforeInput(e) {
+        if (e.isComposing || e.inputType === 'insertCompositionText' ||
+            e.inputType === 'deleteCompositionText') {
+            return;
+        }
+        
+        e.preventDefault();
+        if (!isTyping) return;
+        
+        switch (e.inputType) {
+            case 'insertText':
+                if (e.data) typeCharacters(e.data);
+                break;
+            case 'insertLineBreak':
+            case 'insertParagraph':
+                typeCharacters('\n');
+                break;
+            case 'deleteContentBackward':
+                deleteBackward(1);
+                break;
+            case 'deleteWordBackward':
+                deleteBackward(wordLengthBeforeCursor());
+                break;
+            default:
+                // Paste, drop, autocorrect, forward delete and cut are not allowed
+                syncInput();
+        }
+    }
+    
+    /**
+     * Score the final text of a composition
+     */
+    function handleCompositionEnd(e) {
+        isComposing = false;
+        if (!isTyping) return;
+        
+        // Drop the browser's composition text and type the result through the model
+        elements.typingInput.value = typedText;
+        if (e.data) {
+            typeCharacters(e.data);
+        } else {
+            syncInput();
+        }
+    }
+    
+    /**
+     * Fallback for browsers without beforeinput: reconcile the textarea
+     * with the typed text, accepting only appends and deletions at the end
+     */
+    function handleInput(e) {
+        if (!isTyping || isComposing || e.isComposing) return;
+        
+        const value = elements.typingInput.value;
+        if (value === typedText) return;
+        
+        if (value.startsWith(typedText)) {
+            typeCharacters(value.slice(typedText.length));
+        } else if (typedText.startsWith(value)) {
+            deleteBackward(typedText.length - value.length);
+        } else {
+            syncInput();
+        }
+    }
+    
+    /**
+     * Handle special key presses
+     */
+    function handleKeyDown(e) {
+        if (!isTyping || e.isComposing) return;
+        
+        // Prevent certain keys that might interfere
+        if (e.key === 'Tab') {
+            e.preventDefault();
+            
+            // Tab types indentation in code mode
+            if (codeSession) {
+                insertTab();
+            }
+        }
+        
+        // Keep the caret at the end of the typed text
+        if (['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End', 'PageUp', 'PageDown'].includes(e.key)) {
+            e.preventDefault();
+        }
     }
     
     /**
-     * Show badge notification
+     * Finish the current lesson
      */
-    function showBadgeNotification(badgeId) {
-        const badge = badges[badgeId];
-        if (!badge) return;
+    function finishLesson() {
+        // Must-correct lessons can't finish with mistakes left in the text.
+        // Timed tests still end when the clock runs out.
+        const uncorrected = countUncorrectedErrors();
+        if (errorMode === 'correct' && !timedDuration && uncorrected > 0) {
+            showModeNotice(I18n.t('errorMode.mustCorrect', { count: uncorrected }));
+            return;
+        }
         
-        const notification = document.getElementById('badge-notification');
-        const text = document.getElementById('badge-text');
+        isTyping = false;
+        elements.typingInput.disabled = true;
+        stopGhost();
+        ghost = null;
         
-        text.textContent = badge.name;
-        notification.classList.add('show');
+        const finalMetrics = TypingMetrics.finishSession();
+        if (raceSession) {
+            RaceClient.finish(finalMetrics.finalWPM, finalMetrics.finalAccuracy);
+        }
         
-        setTimeout(() => {
-            notification.classList.remove('show');
-        }, 3000);
+        // Check for adaptive difficulty adjustment (timed tests, code and races are not tied to a level)
+        const decision = timedDuration || codeSession || raceSession ?
+            { change: 'none' } : updateProgression(finalMetrics);
+        pendingLevel = decision.change !== 'none' ? decision.level : null;
+        
+        // Count the session toward today's goal, then check for badges
+        const streaks = recordPracticeDay(finalMetrics);
+        const newBadges = FeedbackSystem.checkForBadges(finalMetrics, {
+            level: currentLevel,
+            lessonId: getCurrentLessonInfo().id,
+            dayStreak: streaks.longest
+        });
+        
+        // Attribute latency and errors to keys, transitions and fingers
+        const sessionStats = TypingAnalytics.analyzeSession(finalMetrics.keystrokeLog, getFinger);
+        
+        // Show results
+        displayResults(finalMetrics);
+        ProgressView.renderAnalytics(elements.sessionAnalytics, TypingAnalytics.getReport(sessionStats));
+        ProgressView.renderConfusions(elements.sessionConfusions,
+            TypingAnalytics.getConfusionReport(finalMetrics.confusions, VirtualKeyboard.getKeyInfo));
+        displayLevelChange(decision);
+        
+        // Show feedback
+        const improvement = finalMetrics.finalWPM - (readProgress().lastWPM || 0);
+        const feedbackMessage = FeedbackSystem.generateFeedbackMessage(finalMetrics, improvement);
+        elements.performanceMessage.textContent = feedbackMessage;
+        if (accessibleMode) {
+            announce(`${I18n.t('a11y.complete', {
+                wpm: finalMetrics.finalWPM,
+                accuracy: finalMetrics.finalAccuracy
+            })} ${feedbackMessage}`);
+        }
+        
+        // Show confetti for good performance
+        if (finalMetrics.finalAccuracy >= 90 || finalMetrics.finalWPM >= 40) {
+            FeedbackSystem.showConfetti();
+        }
+        
+        // Show badge notifications
+        newBadges.forEach(badgeId => {
+            setTimeout(() => {
+                FeedbackSystem.showBadgeNotification(badgeId);
+            }, 1000);
+        });
+        
+        // Save progress
+        if (timedDuration) {
+            displayPersonalBest(saveTimedResult(finalMetrics) ?
+                I18n.t('timed.personalBest', { seconds: timedDuration }) : '');
+        } else {
+            displayPersonalBest(saveGhost(finalMetrics));
+        }
+        saveProgress(finalMetrics, sessionStats);
+        saveSessionHistory(finalMetrics);
+        updateProgressDisplay();
+        
+        // Keep the keystroke log so the run can be reviewed
+        lastSessionLog = finalMetrics.keystrokeLog;
+        
+        // Show next lesson and replay buttons
+        if (timedDuration) {
+            elements.nextBtn.textContent = I18n.t('controls.newTest');
+        } else if (codeSession) {
+            elements.nextBtn.textContent = I18n.t('controls.nextSnippet');
+        } else {
+            elements.nextBtn.textContent = pendingLevel ?
+                I18n.t('controls.goToLevel', { level: formatLevel(pendingLevel) }) :
+                I18n.t('controls.next');
+        }
+        // The host starts the next race
+        elements.nextBtn.style.display = raceSession ? 'none' : 'inline-block';
+        elements.replayBtn.style.display = 'inline-block';
+        elements.replaySpeed.style.display = 'inline-block';
+        elements.resetBtn.style.display = 'none';
+        
+        stopTimer();
     }
     
-    return {
-        checkForBadges,
-        generateFeedbackMessage,
-        showConfetti,
-        showBadgeNotification,
-        getBadges: () => badges,
-        getEarnedBadges: () => Array.from(earnedBadges)
-    };
-})();
-
-// ============================================================================
-// MAIN APPLICATION
-// ============================================================================
-
-const TypingTutor = (function() {
-    'use strict';
-    
-    let currentLevel = 'beginner';
-    let currentLessonIndex = 0;
-    let currentText = '';
-    let currentPosition = 0;
-    let isTyping = false;
-    let typingTimer = null;
-    
-    // DOM Elements
-    const elements = {
-        levelButtons: document.querySelectorAll('.level-btn'),
-        lessonList: document.getElementById('lesson-list'),
-        textContent: document.getElementById('text-content'),
-        typingInput: document.getElementById('typing-input'),
-        startBtn: document.getElementById('start-btn'),
-        resetBtn: document.getElementById('reset-btn'),
-        nextBtn: document.getElementById('next-btn'),
-        resultsPanel: document.getElementById('results-panel'),
+    /**
+     * Replay a finished session on the text display.
+     * Events are played back with their original timing divided by speed.
+     */
+    function replaySession(log, speed = 1) {
+        if (isTyping || !log || log.length === 0) return;
         
-        // Metrics displays
-        wpmDisplay: document.getElementById('wpm-display'),
-        accuracyDisplay: document.getElementById('accuracy-display'),
-        timeDisplay: document.getElementById('time-display'),
-        errorsDisplay: document.getElementById('errors-display'),
-        currentWpm: document.getElementById('current-wpm'),
-        currentAccuracy: document.getElementById('current-accuracy'),
-        currentLevel: document.getElementById('current-level'),
+        stopReplay();
+        currentPosition = 0;
+        charStates = [];
+        displayText();
         
-        // Results
-        finalWpm: document.getElementById('final-wpm'),
-        finalAccuracy: document.getElementById('final-accuracy'),
-        finalTime: document.getElementById('final-time'),
-        finalErrors: document.getElementById('final-errors'),
-        performanceMessage: document.getElementById('performance-message'),
+        let index = 0;
+        let lastTime = 0;
         
-        // Progress
-        badgesContainer: document.getElementById('badges-container'),
-        weakKeysList: document.getElementById('weak-keys-list')
-    };
+        const playNext = () => {
+            const event = log[index];
+            
+            if (event.type === 'backspace') {
+                charStates.length = event.position;
+                currentPosition = event.position;
+            } else {
+                charStates[event.position] = event.correct ? 'correct' : 'incorrect';
+                currentPosition = event.position + 1;
+            }
+            displayText();
+            
+            lastTime = event.time;
+            index++;
+            
+            if (index < log.length) {
+                replayTimer = setTimeout(playNext, (log[index].time - lastTime) / speed);
+            } else {
+                replayTimer = null;
+            }
+        };
+        
+        replayTimer = setTimeout(playNext, 0);
+    }
     
     /**
-     * Initialize the application
+     * Stop any replay in progress
      */
-    function init() {
-        setupEventListeners();
-        loadLevel(currentLevel);
-        updateUI();
-        loadProgress();
+    function stopReplay() {
+        if (replayTimer) {
+            clearTimeout(replayTimer);
+            replayTimer = null;
+        }
     }
     
     /**
-     * Setup all event listeners
+     * Record the session in the rolling progression window and decide
+     * whether the learner moves to another level. The decision is persisted
+     * in typingProgress.
      */
-    function setupEventListeners() {
-        // Level selection
-        elements.levelButtons.forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const level = e.target.dataset.level;
-                selectLevel(level);
-            });
+    function updateProgression(metrics) {
+        const progress = readProgress();
+        const recentSessions = progress.recentSessions || [];
+        
+        recentSessions.push({
+            level: currentLevel,
+            wpm: metrics.finalWPM,
+            accuracy: metrics.finalAccuracy
         });
         
-        // Control buttons
-        elements.startBtn.addEventListener('click', startLesson);
-        elements.resetBtn.addEventListener('click', resetLesson);
-        elements.nextBtn.addEventListener('click', nextLesson);
+        const sessionsAtLevel = recentSessions.filter(session => session.level === currentLevel);
+        const decision = AdaptiveEngine.evaluateProgression(sessionsAtLevel, currentLevel);
         
-        // Typing input
-        elements.typingInput.addEventListener('input', handleTyping);
-        elements.typingInput.addEventListener('keydown', handleKeyDown);
+        if (decision.change !== 'none') {
+            // Start a fresh window at the new level
+            progress.recentSessions = [];
+            progress.levelDecision = {
+                from: currentLevel,
+                to: decision.level,
+                change: decision.change,
+                reason: decision.reason,
+                date: new Date().toISOString()
+            };
+        } else {
+            progress.recentSessions = recentSessions.slice(-AdaptiveEngine.getWindowSize() * 2);
+        }
         
-        // Prevent context menu on typing area
-        elements.typingInput.addEventListener('contextmenu', (e) => e.preventDefault());
+        writeProgress(progress);
+        return decision;
     }
     
     /**
-     * Select a difficulty level
+     * Explain a promotion or demotion in the results panel
      */
-    function selectLevel(level) {
-        currentLevel = level;
-        currentLessonIndex = 0;
+    function displayLevelChange(decision) {
+        if (decision.change === 'none') {
+            elements.levelChange.style.display = 'none';
+            elements.levelChange.textContent = '';
+            return;
+        }
         
-        // Update UI
-        elements.levelButtons.forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.level === level);
+        elements.levelChange.className = `level-change ${decision.change}`;
+        elements.levelChange.textContent = I18n.t(`level.${decision.change}`, {
+            level: formatLevel(decision.level),
+            wpm: decision.averageWPM,
+            accuracy: decision.averageAccuracy,
+            sessions: decision.sessions
         });
-        
-        elements.currentLevel.textContent = level.charAt(0).toUpperCase() + level.slice(1);
-        
-        loadLevel(level);
-        resetLesson();
+        elements.levelChange.style.display = 'block';
     }
     
     /**
-     * Load lessons for the current level
+     * Store a timed test result as a personal best for its duration if it beats the last one
+     * @returns {boolean} Whether the result is a new personal best
      */
-    function loadLevel(level) {
-        const lessons = CurriculumData[level] || [];
-        elements.lessonList.innerHTML = '';
+    function saveTimedResult(metrics) {
+        const progress = readProgress();
+        if (!progress.timedBests) progress.timedBests = {};
         
-        lessons.forEach((lesson, index) => {
-            const lessonElement = document.createElement('div');
-            lessonElement.className = 'lesson-item';
-            lessonElement.innerHTML = `
-                <div class="lesson-title">${lesson.title}</div>
-                <div class="lesson-description">${lesson.description}</div>
-            `;
-            
-            lessonElement.addEventListener('click', () => {
-                selectLesson(index);
-            });
-            
-            elements.lessonList.appendChild(lessonElement);
-        });
+        const best = progress.timedBests[timedDuration];
+        if (best && best.wpm >= metrics.finalWPM) return false;
         
-        selectLesson(0);
+        progress.timedBests[timedDuration] = {
+            wpm: metrics.finalWPM,
+            rawWPM: metrics.rawWPM,
+            netWPM: metrics.netWPM,
+            accuracy: metrics.finalAccuracy,
+            date: new Date().toISOString()
+        };
+        writeProgress(progress);
+        return true;
     }
     
     /**
-     * Select a specific lesson
+     * Announce a personal best or ghost race result in the results panel
      */
-    function selectLesson(index) {
-        currentLessonIndex = index;
-        const lessons = CurriculumData[currentLevel] || [];
-        const lesson = lessons[index];
-        
-        if (!lesson) return;
-        
-        currentText = lesson.text;
-        currentPosition = 0;
+    function displayPersonalBest(message) {
+        elements.personalBest.style.display = message ? 'block' : 'none';
+        elements.personalBest.textContent = message;
+    }
+    
+    /**
+     * Get the id ghosts are saved under for the current lesson. Timed tests
+     * and generated drills have new text every time, so they have no ghost.
+     * Races have other players to beat instead.
+     */
+    function getGhostId() {
+        if (timedDuration || raceSession) return null;
+        if (!codeSession) {
+            const lesson = getLessons(currentLevel)[currentLessonIndex];
+            if (!lesson || lesson.generated) return null;
+        }
+        return getCurrentLessonInfo().id || null;
+    }
+    
+    /**
+     * Load the ghost for the lesson about to start, if racing is on
+     */
+    function setupGhost() {
+        stopGhost();
+        const ghostId = ghostEnabled ? getGhostId() : null;
+        const saved = ghostId ? (readProgress().ghosts || {})[ghostId] : null;
         
-        // Update lesson selection UI
-        document.querySelectorAll('.lesson-item').forEach((item, i) => {
-            item.classList.toggle('active', i === index);
-        });
+        ghost = GhostRacer.matches(saved, currentText) ? saved : null;
+        ghostFrames = [];
+        ghostPosition = 0;
+        raceStart = null;
         
-        displayText();
-        resetLesson();
+        elements.ghostMetric.style.display = ghost ? '' : 'none';
+        elements.ghostDisplay.textContent = '0.0s';
+        elements.ghostDisplay.className = 'metric-value';
     }
     
     /**
-     * Display the current text with highlighting
+     * Record the cursor for this run's ghost. The race clock starts on the
+     * first keystroke, as it did for the ghost.
      */
-    function displayText() {
-        if (!currentText) return;
+    function recordGhostFrame() {
+        if (!isTyping || timedDuration) return;
         
-        let html = '';
-        for (let i = 0; i < currentText.length; i++) {
-            const char = currentText[i];
-            let className = '';
-            
-            if (i < currentPosition) {
-                className = 'correct';
-            } else if (i === currentPosition) {
-                className = 'current';
+        if (raceStart === null) {
+            raceStart = Date.now();
+            if (ghost) {
+                ghostTimer = setInterval(updateGhost, GHOST_TICK_MS);
             }
-            
-            html += `<span class="char ${className}">${char === ' ' ? '&nbsp;' : char}</span>`;
         }
-        
-        elements.textContent.innerHTML = html;
+        GhostRacer.recordFrame(ghostFrames, Date.now() - raceStart, currentPosition);
+        updateGhost();
     }
     
     /**
-     * Start a typing lesson
+     * Move the ghost caret and show how far ahead or behind the typist is
      */
-    function startLesson() {
-        if (!currentText) return;
-        
-        isTyping = true;
-        currentPosition = 0;
+    function updateGhost() {
+        if (!ghost || raceStart === null) return;
         
-        elements.typingInput.disabled = false;
-        elements.typingInput.value = '';
-        elements.typingInput.focus();
-        elements.startBtn.style.display = 'none';
-        elements.resetBtn.style.display = 'inline-block';
-        elements.resultsPanel.style.display = 'none';
-        elements.nextBtn.style.display = 'none';
+        const elapsed = Date.now() - raceStart;
+        const position = Math.min(GhostRacer.positionAt(ghost, elapsed), currentText.length - 1);
+        if (position !== ghostPosition) {
+            const chars = elements.textContent.children;
+            if (chars[ghostPosition]) chars[ghostPosition].classList.remove('ghost');
+            if (chars[position]) chars[position].classList.add('ghost');
+            ghostPosition = position;
+        }
         
-        TypingMetrics.reset();
-        displayText();
-        startTimer();
+        const lead = GhostRacer.getLead(ghost, currentPosition, elapsed);
+        const seconds = (Math.abs(lead) / 1000).toFixed(1);
+        elements.ghostDisplay.textContent = lead >= 0 ? `+${seconds}s` : `−${seconds}s`;
+        elements.ghostDisplay.className = `metric-value ${lead >= 0 ? 'ahead' : 'behind'}`;
+    }
+    
+    function stopGhost() {
+        if (ghostTimer) {
+            clearInterval(ghostTimer);
+            ghostTimer = null;
+        }
     }
     
     /**
-     * Reset the current lesson
+     * Keep a finished run as the lesson's ghost if it is a new personal best
+     * @returns {string} Message about the race for the results panel
      */
-    function resetLesson() {
-        isTyping = false;
-        currentPosition = 0;
+    function saveGhost(metrics) {
+        const ghostId = getGhostId();
+        if (!ghostEnabled || !ghostId || ghostFrames.length === 0) return '';
         
-        elements.typingInput.disabled = true;
-        elements.typingInput.value = '';
-        elements.startBtn.style.display = 'inline-block';
-        elements.resetBtn.style.display = 'none';
-        elements.resultsPanel.style.display = 'none';
-        elements.nextBtn.style.display = 'none';
+        const progress = readProgress();
+        const ghosts = progress.ghosts || {};
+        const previous = GhostRacer.matches(ghosts[ghostId], currentText) ? ghosts[ghostId] : null;
         
-        TypingMetrics.reset();
-        displayText();
-        updateMetricsDisplay();
-        stopTimer();
+        if (!GhostRacer.isPersonalBest(previous, metrics)) {
+            return I18n.t('ghost.kept', { wpm: previous.wpm });
+        }
+        
+        ghosts[ghostId] = GhostRacer.create(ghostFrames, metrics, currentText);
+        progress.ghosts = ghosts;
+        writeProgress(progress);
+        
+        return previous ? I18n.t('ghost.newBest', { wpm: metrics.finalWPM }) : I18n.t('ghost.saved');
     }
     
     /**
-     * Move to the next lesson
+     * Join a room on the LAN race server, or create one when no code is given
      */
-    function nextLesson() {
-        const lessons = CurriculumData[currentLevel] || [];
-        if (currentLessonIndex < lessons.length - 1) {
-            selectLesson(currentLessonIndex + 1);
-        } else {
-            // Try to advance to next level
-            const levels = ['beginner', 'intermediate', 'advanced', 'master'];
-            const currentLevelIndex = levels.indexOf(currentLevel);
-            if (currentLevelIndex < levels.length - 1) {
-                selectLevel(levels[currentLevelIndex + 1]);
-            }
+    function joinRace() {
+        const url = elements.raceServer.value.trim() || RaceClient.getDefaultUrl();
+        const name = elements.raceName.value.trim();
+        saveSetting('raceServer', url);
+        saveSetting('raceName', name);
+        
+        try {
+            RaceClient.connect(url, elements.raceRoomCode.value.trim().toUpperCase(), name, {
+                joined: handleRaceJoined,
+                players: handleRacePlayers,
+                countdown: handleRaceCountdown,
+                results: handleRaceResults,
+                error: (message) => showRaceStatus(I18n.t(`race.error.${message.code}`)),
+                close: () => endRaceConnection(I18n.t(raceRoom ? 'race.disconnected' : 'race.unreachable'))
+            });
+        } catch (error) {
+            // The WebSocket constructor throws on malformed addresses
+            showRaceStatus(I18n.t('race.badServer'));
+            return;
+        }
+        showRaceStatus(I18n.t('race.connecting'));
+    }
+    
+    function leaveRace() {
+        RaceClient.disconnect();
+        elements.raceResults.innerHTML = '';
+        endRaceConnection('');
+    }
+    
+    /**
+     * Forget the room after leaving or losing the connection. A race text
+     * that was counting down can still be typed alone.
+     */
+    function endRaceConnection(status) {
+        clearRaceCountdown();
+        elements.raceCountdown.textContent = '';
+        raceRoom = null;
+        if (raceSession && !isTyping) {
+            elements.startBtn.style.display = 'inline-block';
         }
+        showRaceStatus(status);
+        updateRaceControls();
     }
     
     /**
-     * Handle typing input
+     * Ask the server to race everyone in the room on the current lesson
      */
-    function handleTyping(e) {
-        if (!isTyping) return;
-        
-        const inputValue = e.target.value;
-        const inputLength = inputValue.length;
+    function startRace() {
+        if (!currentText || timedDuration) {
+            alert(I18n.t('race.pickLesson'));
+            return;
+        }
+        RaceClient.startRace(currentText, raceSession ? raceSession.title : getCurrentLessonInfo().title);
+    }
+    
+    function handleRaceJoined(message) {
+        raceRoom = {
+            code: message.room,
+            playerId: message.playerId,
+            hostId: null,
+            state: 'lobby',
+            players: [],
+            textLength: 0
+        };
+        elements.raceRoomCode.value = message.room;
+        showRaceStatus(I18n.t('race.joined', { room: message.room }));
+        updateRaceControls();
+    }
+    
+    function handleRacePlayers(message) {
+        if (!raceRoom) return;
         
-        // Handle backspace (input is shorter than position)
-        if (inputLength < currentPosition) {
-            currentPosition = inputLength;
-            displayText();
+        raceRoom.hostId = message.hostId;
+        raceRoom.state = message.state;
+        raceRoom.players = message.players;
+        raceRoom.textLength = message.textLength;
+        updateRaceControls();
+        renderRaceLanes();
+    }
+    
+    /**
+     * Load the race text and start typing when the server's countdown ends.
+     * A lesson already being typed is left alone and the race is sat out.
+     */
+    function handleRaceCountdown(message) {
+        if (isTyping && !raceSession) {
+            RaceClient.withdraw();
+            showRaceStatus(I18n.t('race.busy'));
             return;
         }
         
-        // Process new characters
-        for (let i = currentPosition; i < inputLength && i < currentText.length; i++) {
-            const typedChar = inputValue[i];
-            const targetChar = currentText[i];
-            const isCorrect = typedChar === targetChar;
-            
-            TypingMetrics.recordKeystroke(typedChar, isCorrect, targetChar);
+        stopReplay();
+        clearRaceCountdown();
+        timedDuration = null;
+        codeSession = null;
+        raceSession = { title: message.title };
+        currentText = message.text.normalize('NFC');
+        currentPosition = 0;
+        charStates = [];
+        lastSessionLog = [];
+        
+        document.querySelectorAll('.lesson-item').forEach(item => item.classList.remove('active'));
+        elements.timedButtons.forEach(btn => btn.classList.remove('active'));
+        elements.raceResults.innerHTML = '';
+        
+        displayText();
+        resetLesson();
+        elements.startBtn.style.display = 'none';
+        
+        const startAt = RaceClient.toLocalTime(message.startAt);
+        const tick = () => {
+            // Picking another lesson during the countdown drops out of the race
+            if (!raceSession) {
+                clearRaceCountdown();
+                elements.raceCountdown.textContent = '';
+                return;
+            }
             
-            // Update character display
-            const charElement = elements.textContent.children[i];
-            if (charElement) {
-                charElement.className = `char ${isCorrect ? 'correct' : 'incorrect'}`;
+            const remaining = startAt - Date.now();
+            if (remaining > 0) {
+                elements.raceCountdown.textContent = Math.ceil(remaining / 1000);
+                return;
             }
             
-            currentPosition = i + 1;
+            clearRaceCountdown();
+            elements.raceCountdown.textContent = I18n.t('race.go');
+            startLesson();
+        };
+        raceCountdownTimer = setInterval(tick, RACE_TICK_MS);
+        tick();
+    }
+    
+    /**
+     * Stop treating the current text as a race, telling the server
+     * not to wait for this player
+     */
+    function leaveRaceSession() {
+        if (raceSession) {
+            RaceClient.withdraw();
+            raceSession = null;
         }
-        
-        // Update current position highlighting
-        displayText();
-        updateMetricsDisplay();
-        
-        // Check if lesson is complete
-        if (currentPosition >= currentText.length) {
-            finishLesson();
+    }
+    
+    function clearRaceCountdown() {
+        if (raceCountdownTimer) {
+            clearInterval(raceCountdownTimer);
+            raceCountdownTimer = null;
         }
     }
     
     /**
-     * Handle special key presses
+     * Show the leaderboard. Anyone still typing when the race ends is stopped.
      */
-    function handleKeyDown(e) {
-        if (!isTyping) return;
+    function handleRaceResults(message) {
+        clearRaceCountdown();
+        elements.raceCountdown.textContent = '';
+        ProgressView.renderLeaderboard(elements.raceResults, message.leaderboard);
         
-        // Prevent certain keys that might interfere
-        if (e.key === 'Tab') {
-            e.preventDefault();
+        if (raceSession && isTyping) {
+            isTyping = false;
+            elements.typingInput.disabled = true;
+            elements.resetBtn.style.display = 'none';
+            stopTimer();
+            showModeNotice(I18n.t('race.over'));
         }
     }
     
     /**
-     * Finish the current lesson
+     * Report the cursor to the other players
      */
-    function finishLesson() {
-        isTyping = false;
-        elements.typingInput.disabled = true;
-        
-        const finalMetrics = TypingMetrics.finishSession();
-        
-        // Check for adaptive difficulty adjustment
-        const newLevel = AdaptiveEngine.adjustDifficulty(finalMetrics.finalAccuracy, currentLevel);
-        if (newLevel !== currentLevel) {
-            // Level adjustment logic could be implemented here
+    function sendRaceProgress() {
+        if (raceSession && isTyping) {
+            RaceClient.sendProgress(currentPosition, TypingMetrics.getCurrentMetrics().wpm);
         }
+    }
+    
+    function showRaceStatus(message) {
+        elements.raceStatus.textContent = message;
+    }
+    
+    function updateRaceControls() {
+        const joined = raceRoom !== null;
+        const isHost = joined && raceRoom.hostId === raceRoom.playerId;
         
-        // Check for badges
-        const newBadges = FeedbackSystem.checkForBadges(finalMetrics, currentLevel);
-        
-        // Show results
-        displayResults(finalMetrics);
-        
-        // Show feedback
-        const improvement = finalMetrics.finalWPM - (localStorage.getItem('lastWPM') || 0);
-        const feedbackMessage = FeedbackSystem.generateFeedbackMessage(finalMetrics, improvement);
-        elements.performanceMessage.textContent = feedbackMessage;
+        elements.raceJoinBtn.style.display = joined ? 'none' : '';
+        elements.raceLeaveBtn.style.display = joined ? '' : 'none';
+        elements.raceStartBtn.style.display = isHost ? '' : 'none';
+        elements.raceStartBtn.disabled = !isHost || raceRoom.state !== 'lobby';
+        elements.raceServer.disabled = joined;
+        elements.raceName.disabled = joined;
+        elements.raceRoomCode.disabled = joined;
+        elements.raceTrack.style.display = joined ? '' : 'none';
+    }
+    
+    /**
+     * Draw a lane for each player with a car at their share of the text
+     */
+    function renderRaceLanes() {
+        elements.raceLanes.innerHTML = '';
         
-        // Show confetti for good performance
-        if (finalMetrics.finalAccuracy >= 90 || finalMetrics.finalWPM >= 40) {
-            FeedbackSystem.showConfetti();
+        raceRoom.players.forEach(player => {
+            const lane = document.createElement('div');
+            lane.className = 'race-lane';
+            lane.classList.toggle('self', player.id === raceRoom.playerId);
+            lane.classList.toggle('finished', player.finished);
+            
+            const name = document.createElement('span');
+            name.className = 'race-name';
+            name.textContent = player.id === raceRoom.hostId ?
+                I18n.t('race.hostName', { name: player.name }) : player.name;
+            
+            const share = player.racing && raceRoom.textLength > 0 ?
+                Math.min(1, player.position / raceRoom.textLength) : 0;
+            const road = document.createElement('div');
+            road.className = 'race-road';
+            const bar = document.createElement('div');
+            bar.className = 'race-bar';
+            bar.style.width = `${share * 100}%`;
+            const car = document.createElement('span');
+            car.className = 'race-car';
+            car.textContent = '🏎️';
+            car.style.left = `${share * 100}%`;
+            road.appendChild(bar);
+            road.appendChild(car);
+            
+            const speed = document.createElement('span');
+            speed.className = 'race-wpm';
+            speed.textContent = player.racing || raceRoom.state === 'lobby' ?
+                I18n.t('race.wpmValue', { wpm: player.wpm }) : I18n.t('race.watching');
+            
+            lane.appendChild(name);
+            lane.appendChild(road);
+            lane.appendChild(speed);
+            elements.raceLanes.appendChild(lane);
+        });
+    }
+    
+    /**
+     * Show bracket, quote and operator accuracy after code sessions
+     */
+    function displaySymbolAccuracy(symbolAccuracy) {
+        if (!codeSession) {
+            elements.symbolAccuracy.style.display = 'none';
+            return;
         }
         
-        // Show badge notifications
-        newBadges.forEach(badgeId => {
-            setTimeout(() => {
-                FeedbackSystem.showBadgeNotification(badgeId);
-            }, 1000);
-        });
+        const categories = ['brackets', 'quotes', 'operators']
+            .filter(category => symbolAccuracy[category].attempts > 0)
+            .map(category => `${I18n.t(`code.${category}`)}: ${symbolAccuracy[category].accuracy}%`);
         
-        // Save progress
-        saveProgress(finalMetrics);
-        updateProgressDisplay();
+        const weakest = Object.keys(symbolAccuracy.bySymbol)
+            .filter(symbol => symbolAccuracy.bySymbol[symbol].errors > 0)
+            .sort((a, b) => symbolAccuracy.bySymbol[a].accuracy - symbolAccuracy.bySymbol[b].accuracy)
+            .slice(0, 3)
+            .map(symbol => `${symbol} ${symbolAccuracy.bySymbol[symbol].accuracy}%`);
         
-        // Show next lesson button
-        elements.nextBtn.style.display = 'inline-block';
-        elements.resetBtn.style.display = 'none';
+        let summary = categories.length > 0 ? categories.join(' · ') : I18n.t('code.noSymbols');
+        if (weakest.length > 0) {
+            summary = I18n.t('code.weakest', { summary, symbols: weakest.join(', ') });
+        }
         
-        stopTimer();
+        elements.symbolAccuracy.textContent = summary;
+        elements.symbolAccuracy.style.display = 'block';
     }
     
     /**
@@ -905,6 +7180,12 @@ const TypingTutor = (function() {
         elements.finalAccuracy.textContent = metrics.finalAccuracy + '%';
         elements.finalTime.textContent = formatTime(metrics.totalTimeSeconds);
         elements.finalErrors.textContent = metrics.totalKeystrokes - metrics.correctKeystrokes;
+        elements.finalRawWpm.textContent = metrics.rawWPM;
+        elements.finalNetWpm.textContent = metrics.netWPM;
+        elements.finalCorrections.textContent = `${metrics.correctedErrors} / ${metrics.uncorrectedErrors}`;
+        elements.finalKps.textContent = metrics.keystrokesPerSecond;
+        elements.finalConsistency.textContent = metrics.consistency + '%';
+        displaySymbolAccuracy(metrics.symbolAccuracy);
         
         elements.resultsPanel.style.display = 'block';
     }
@@ -931,6 +7212,17 @@ const TypingTutor = (function() {
         let seconds = 0;
         typingTimer = setInterval(() => {
             seconds++;
+            
+            // Timed tests count down and finish at zero
+            if (timedDuration) {
+                const remaining = Math.max(0, timedDuration - seconds);
+                elements.timeDisplay.textContent = formatTime(remaining);
+                if (remaining === 0) {
+                    finishLesson();
+                }
+                return;
+            }
+            
             elements.timeDisplay.textContent = formatTime(seconds);
         }, 1000);
     }
@@ -945,6 +7237,25 @@ const TypingTutor = (function() {
         }
     }
     
+    /**
+     * Escape text for safe insertion into HTML
+     */
+    function escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+    
+    /**
+     * Format a level id for display
+     */
+    function formatLevel(level) {
+        return I18n.t(`level.${level}`);
+    }
+    
     /**
      * Format time in MM:SS format
      */
@@ -955,19 +7266,20 @@ const TypingTutor = (function() {
     }
     
     /**
-     * Save progress to localStorage
+     * Save progress to storage
      */
-    function saveProgress(metrics) {
-        const progress = JSON.parse(localStorage.getItem('typingProgress') || '{}');
+    function saveProgress(metrics, sessionStats) {
+        const progress = readProgress();
         
         progress.lastWPM = metrics.finalWPM;
         progress.lastAccuracy = metrics.finalAccuracy;
         progress.totalSessions = (progress.totalSessions || 0) + 1;
         progress.bestWPM = Math.max(progress.bestWPM || 0, metrics.finalWPM);
         progress.bestAccuracy = Math.max(progress.bestAccuracy || 0, metrics.finalAccuracy);
-        progress.currentLevel = currentLevel;
-        progress.currentLessonIndex = currentLessonIndex;
+        progress.currentLevel = pendingLevel || currentLevel;
+        progress.currentLessonIndex = pendingLevel ? 0 : currentLessonIndex;
         progress.earnedBadges = FeedbackSystem.getEarnedBadges();
+        progress.achievements = FeedbackSystem.getState();
         
         // Merge error data for spaced repetition
         const errorsByKey = metrics.errorsByKey;
@@ -977,14 +7289,244 @@ const TypingTutor = (function() {
             progress.errorsByKey[key] = (progress.errorsByKey[key] || 0) + errorsByKey[key];
         });
         
-        localStorage.setItem('typingProgress', JSON.stringify(progress));
+        progress.analytics = TypingAnalytics.mergeStats(progress.analytics, sessionStats);
+        progress.confusions = TypingAnalytics.mergeConfusions(progress.confusions, metrics.confusions);
+        
+        // Review practiced keys and bigrams in the spaced repetition schedule
+        progress.repetition = SpacedRepetition.reviewSession(
+            getSchedule(progress), metrics.keystrokeLog, currentText);
+        
+        writeProgress(progress);
+    }
+    
+    /**
+     * Get the id and title of the lesson or timed test being typed
+     */
+    function getCurrentLessonInfo() {
+        if (raceSession) {
+            return {
+                id: `race-${GhostRacer.fingerprint(currentText)}`,
+                title: I18n.t('race.lessonTitle', { title: raceSession.title || I18n.t('race.untitled') })
+            };
+        }
+        if (timedDuration) {
+            return { id: `timed-${timedDuration}`, title: I18n.t('timed.lessonTitle', { seconds: timedDuration }) };
+        }
+        if (codeSession) {
+            const pack = CodeSnippets[codeSession.language];
+            const snippet = pack.snippets[codeSession.snippetIndex];
+            return { id: `code-${snippet.id}`, title: `${pack.name}: ${snippet.title}` };
+        }
+        const lesson = getLessons(currentLevel)[currentLessonIndex] || {};
+        return { id: lesson.id, title: lesson.title };
+    }
+    
+    /**
+     * Append the finished session to the history store
+     */
+    function saveSessionHistory(metrics) {
+        const lesson = getCurrentLessonInfo();
+        
+        SessionHistory.addSession({
+            date: new Date().toISOString(),
+            lessonId: lesson.id,
+            lessonTitle: lesson.title,
+            level: currentLevel,
+            wpm: metrics.finalWPM,
+            netWPM: metrics.netWPM,
+            rawWPM: metrics.rawWPM,
+            accuracy: metrics.finalAccuracy,
+            durationSeconds: metrics.totalTimeMs / 1000,
+            errorMode,
+            errorsByKey: metrics.errorsByKey
+        });
+    }
+    
+    /**
+     * Open the lesson editor
+     */
+    function showLessonEditor() {
+        clearLessonForm();
+        elements.customLevel.value = currentLevel;
+        renderCustomLessonList();
+        elements.editorOverlay.classList.add('show');
+    }
+    
+    /**
+     * Reset the editor form to create a new lesson
+     */
+    function clearLessonForm() {
+        elements.editorForm.reset();
+        delete elements.editorForm.dataset.editing;
+        delete elements.customFile.dataset.markdown;
+        elements.customLevel.value = currentLevel;
+    }
+    
+    /**
+     * List custom lessons with edit and delete actions
+     */
+    function renderCustomLessonList() {
+        const lessons = CustomLessons.getAll();
+        elements.customLessonList.innerHTML = '';
+        
+        if (lessons.length === 0) {
+            elements.customLessonList.textContent = I18n.t('editor.none');
+            return;
+        }
+        
+        lessons.forEach(lesson => {
+            const item = document.createElement('div');
+            item.className = 'custom-lesson-item';
+            item.innerHTML = `
+                <span class="custom-lesson-title">${escapeHTML(lesson.title)}</span>
+                <span class="custom-lesson-level">${formatLevel(lesson.level)}</span>
+                <button type="button" class="btn-link" data-action="edit">${escapeHTML(I18n.t('editor.edit'))}</button>
+                <button type="button" class="btn-link" data-action="delete">${escapeHTML(I18n.t('editor.delete'))}</button>
+            `;
+            
+            item.querySelector('[data-action="edit"]').addEventListener('click', () => {
+                elements.editorForm.dataset.editing = lesson.id;
+                elements.customTitle.value = lesson.title;
+                elements.customDescription.value = lesson.description;
+                elements.customLevel.value = lesson.level;
+                elements.customText.value = lesson.text;
+                elements.customSplit.checked = false;
+            });
+            
+            item.querySelector('[data-action="delete"]').addEventListener('click', () => {
+                if (!confirm(I18n.t('editor.deleteConfirm', { title: lesson.title }))) return;
+                CustomLessons.remove(lesson.id);
+                renderCustomLessonList();
+                refreshLessonList();
+            });
+            
+            elements.customLessonList.appendChild(item);
+        });
+    }
+    
+    /**
+     * Create or update a custom lesson from the editor form
+     */
+    function saveCustomLesson(e) {
+        e.preventDefault();
+        
+        const fields = {
+            title: elements.customTitle.value,
+            description: elements.customDescription.value,
+            level: elements.customLevel.value,
+            text: elements.customText.value
+        };
+        
+        try {
+            if (elements.editorForm.dataset.editing) {
+                CustomLessons.update(elements.editorForm.dataset.editing, fields);
+            } else if (elements.customSplit.checked) {
+                CustomLessons.addFromText(fields, elements.customFile.dataset.markdown === 'true');
+            } else {
+                CustomLessons.add(fields);
+            }
+        } catch (error) {
+            showError(error);
+            return;
+        }
+        
+        clearLessonForm();
+        renderCustomLessonList();
+        refreshLessonList();
+    }
+    
+    /**
+     * Load a .txt or .md file into the editor, to be split into lessons
+     */
+    function loadLessonFile(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+        
+        file.text().then(text => {
+            const isMarkdown = /\.(md|markdown)$/i.test(file.name);
+            elements.customFile.dataset.markdown = String(isMarkdown);
+            elements.customText.value = text;
+            elements.customSplit.checked = true;
+            if (!elements.customTitle.value) {
+                elements.customTitle.value = file.name.replace(/\.[^.]+$/, '');
+            }
+        }).catch(error => {
+            showError(error);
+        }).then(() => {
+            e.target.value = '';
+        });
+    }
+    
+    /**
+     * Offer a file for download
+     */
+    function downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME_MS);
+    }
+    
+    function exportCourse() {
+        downloadFile('typing-course.json', CustomLessons.exportCourse(), 'application/json');
+    }
+    
+    function importCourse(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+        
+        file.text().then(text => {
+            const count = CustomLessons.importCourse(text);
+            alert(I18n.t('editor.imported', { count }));
+        }).catch(error => {
+            showError(error);
+        }).then(() => {
+            e.target.value = '';
+            renderCustomLessonList();
+            refreshLessonList();
+        });
+    }
+    
+    /**
+     * Rebuild the lesson list after custom lessons change, keeping the selection
+     */
+    function refreshLessonList() {
+        const lessonIndex = currentLessonIndex;
+        loadLevel(currentLevel);
+        if (lessonIndex < getLessons(currentLevel).length) {
+            selectLesson(lessonIndex);
+        }
+    }
+    
+    /**
+     * Open the progress view with trend charts from the session history
+     */
+    function showProgressView() {
+        elements.progressOverlay.classList.add('show');
+        ProgressView.render(elements);
+        const progress = readProgress();
+        ProgressView.renderAnalytics(elements.progressAnalytics, TypingAnalytics.getReport(progress.analytics));
+        ProgressView.renderConfusions(elements.progressConfusions,
+            TypingAnalytics.getConfusionReport(progress.confusions, VirtualKeyboard.getKeyInfo));
+    }
+    
+    /**
+     * Get the finger that types a character on the current layout
+     */
+    function getFinger(char) {
+        const info = VirtualKeyboard.getKeyInfo(char);
+        return info ? info.finger : null;
     }
     
     /**
-     * Load progress from localStorage
+     * Load progress from storage
      */
     function loadProgress() {
-        const progress = JSON.parse(localStorage.getItem('typingProgress') || '{}');
+        const progress = readProgress();
         
         if (progress.currentLevel) {
             selectLevel(progress.currentLevel);
@@ -994,53 +7536,234 @@ const TypingTutor = (function() {
             selectLesson(progress.currentLessonIndex);
         }
         
-        if (progress.earnedBadges) {
-            progress.earnedBadges.forEach(badgeId => {
-                FeedbackSystem.getEarnedBadges().push(badgeId);
-            });
-        }
+        FeedbackSystem.loadState(progress);
+        
+        updateProgressDisplay();
+    }
+    
+    /**
+     * Add a finished session to today's practice and return the goal streaks
+     */
+    function recordPracticeDay(metrics) {
+        const progress = readProgress();
+        progress.practiceDays = DailyGoals.recordPractice(progress.practiceDays || {}, metrics.totalTimeMs / 1000);
+        writeProgress(progress);
+        return DailyGoals.getStreaks(progress.practiceDays, dailyGoal);
+    }
+    
+    /**
+     * Build practice days from the session history for progress saved
+     * before daily goals existed
+     */
+    function seedPracticeDays() {
+        if (readProgress().practiceDays) return;
         
+        const profileId = LearnerProfiles.getActiveId();
+        SessionHistory.getSessions(profileId).then(sessions => {
+            if (LearnerProfiles.getActiveId() !== profileId) return;
+            
+            const progress = readProgress();
+            if (progress.practiceDays) return;
+            
+            progress.practiceDays = sessions.reduce((days, session) => DailyGoals.recordPractice(
+                days, session.durationSeconds || 0, SpacedRepetition.toDateKey(new Date(session.date))), {});
+            writeProgress(progress);
+            updateProgressDisplay();
+        });
+    }
+    
+    function updateDailyGoal() {
+        dailyGoal = DailyGoals.normalizeGoal({
+            type: elements.goalType.value,
+            target: elements.goalTarget.value
+        });
+        elements.goalTarget.value = dailyGoal.target;
+        saveSetting('dailyGoal', dailyGoal);
         updateProgressDisplay();
     }
     
+    /**
+     * Format an amount in the goal's unit, e.g. "1 lesson" or "5 minutes"
+     */
+    function formatGoalAmount(amount) {
+        return I18n.t(`goal.${dailyGoal.type}`, { count: amount });
+    }
+    
+    /**
+     * Show today's goal progress, streaks and the practice calendar
+     */
+    function updateDailyGoalDisplay(progress) {
+        const days = progress.practiceDays || {};
+        const today = SpacedRepetition.toDateKey();
+        const streaks = DailyGoals.getStreaks(days, dailyGoal, today);
+        
+        const amount = DailyGoals.getAmount(days, dailyGoal, today);
+        const met = DailyGoals.isGoalMet(days, dailyGoal, today);
+        elements.goalStatus.textContent = met ?
+            I18n.t('goal.met', { amount: formatGoalAmount(amount) }) :
+            I18n.t('goal.today', { count: amount, target: formatGoalAmount(dailyGoal.target) });
+        elements.goalStatus.classList.toggle('met', met);
+        elements.currentStreak.textContent = I18n.t('goal.days', { count: streaks.current });
+        elements.longestStreak.textContent = I18n.t('goal.days', { count: streaks.longest });
+        
+        elements.practiceCalendar.innerHTML = '';
+        DailyGoals.getCalendar(days, dailyGoal, today).forEach(cell => {
+            const cellElement = document.createElement('div');
+            cellElement.className = `calendar-day level-${cell.level}`;
+            cellElement.title = I18n.t('goal.calendarDay', { date: cell.date, amount: formatGoalAmount(cell.amount) });
+            elements.practiceCalendar.appendChild(cellElement);
+        });
+    }
+    
+    /**
+     * Turn practice reminders on or off, asking for notification permission
+     */
+    function toggleReminders(e) {
+        const enabled = e.target.checked;
+        
+        if (enabled && typeof Notification === 'undefined') {
+            e.target.checked = false;
+            alert(I18n.t('goal.noNotifications'));
+            return;
+        }
+        
+        const permission = enabled ? Notification.requestPermission() : Promise.resolve('granted');
+        permission.then(result => {
+            if (result !== 'granted') {
+                e.target.checked = false;
+                alert(I18n.t('goal.permissionNeeded'));
+                return;
+            }
+            reminders = { ...reminders, enabled };
+            saveSetting('reminders', reminders);
+            checkReminder();
+        });
+    }
+    
+    /**
+     * Show a notification once a day after the reminder time if the
+     * day's goal hasn't been met
+     */
+    function checkReminder() {
+        if (!reminders.enabled || typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+        
+        const now = new Date();
+        const today = SpacedRepetition.toDateKey(now);
+        const time = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+        if (reminders.lastShown === today || time < reminders.time) return;
+        
+        const days = readProgress().practiceDays || {};
+        if (DailyGoals.isGoalMet(days, dailyGoal, today)) return;
+        
+        const remaining = dailyGoal.target - DailyGoals.getAmount(days, dailyGoal, today);
+        
+        // Saved first so a reminder that can't be shown isn't retried every minute
+        reminders = { ...reminders, lastShown: today };
+        saveSetting('reminders', reminders);
+        showNotification(I18n.t('app.title'), {
+            body: I18n.t('goal.reminder', { amount: formatGoalAmount(remaining) })
+        });
+    }
+    
+    /**
+     * Show a system notification. The Notification constructor throws on
+     * Android and in the installed app, so the service worker shows it
+     * when one controls the page.
+     */
+    function showNotification(title, options) {
+        const showDirectly = () => {
+            try {
+                new Notification(title, options);
+            } catch (error) {
+                console.warn('Notifications are unavailable:', error);
+            }
+        };
+        
+        if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+            navigator.serviceWorker.ready
+                .then(registration => registration.showNotification(title, options))
+                .catch(showDirectly);
+        } else {
+            showDirectly();
+        }
+    }
+    
     /**
      * Update progress display
      */
     function updateProgressDisplay() {
-        const progress = JSON.parse(localStorage.getItem('typingProgress') || '{}');
+        const progress = readProgress();
         
-        // Update badges display
-        const earnedBadges = FeedbackSystem.getEarnedBadges();
-        const badges = FeedbackSystem.getBadges();
+        // Update badges display: earned badges first, then locked ones by progress
+        const achievements = FeedbackSystem.getAchievements()
+            .sort((a, b) => (b.earned - a.earned) || (b.percent - a.percent));
         
         elements.badgesContainer.innerHTML = '';
-        earnedBadges.forEach(badgeId => {
-            const badge = badges[badgeId];
-            if (badge) {
-                const badgeElement = document.createElement('div');
-                badgeElement.className = 'badge';
-                badgeElement.innerHTML = `${badge.name}`;
-                badgeElement.title = badge.description;
-                elements.badgesContainer.appendChild(badgeElement);
+        achievements.forEach(achievement => {
+            const badgeElement = document.createElement('div');
+            badgeElement.className = achievement.earned ? 'badge' : 'badge locked';
+            badgeElement.textContent = achievement.name;
+            
+            if (achievement.earned) {
+                badgeElement.title = achievement.description;
+            } else {
+                badgeElement.title = I18n.t('badge.progress', {
+                    description: achievement.description,
+                    current: achievement.current,
+                    target: achievement.target
+                });
+                badgeElement.style.setProperty('--badge-progress', `${achievement.percent}%`);
             }
+            elements.badgesContainer.appendChild(badgeElement);
         });
         
-        // Update weak keys display
-        const errorsByKey = progress.errorsByKey || {};
-        const weakKeys = Object.keys(errorsByKey)
-            .sort((a, b) => errorsByKey[b] - errorsByKey[a])
-            .slice(0, 5);
+        updateDailyGoalDisplay(progress);
+        
+        // Update timed test personal bests
+        const timedBests = progress.timedBests || {};
+        elements.timedBests.innerHTML = '';
+        Object.keys(timedBests).sort((a, b) => a - b).forEach(duration => {
+            const best = timedBests[duration];
+            const bestElement = document.createElement('div');
+            bestElement.className = 'timed-best';
+            bestElement.textContent = I18n.t('timed.best', {
+                seconds: duration,
+                wpm: best.wpm,
+                raw: best.rawWPM,
+                accuracy: best.accuracy
+            });
+            elements.timedBests.appendChild(bestElement);
+        });
+        
+        updateHeatmap();
+        
+        // Update weak keys display with keys and bigrams due for review today
+        const schedule = getSchedule(progress);
+        const dueKeys = SpacedRepetition.getDueItems(schedule.keys).slice(0, 5);
+        const dueBigrams = SpacedRepetition.getDueItems(schedule.bigrams).slice(0, 3);
         
         elements.weakKeysList.innerHTML = '';
-        weakKeys.forEach(key => {
+        dueKeys.concat(dueBigrams).forEach(item => {
             const keyElement = document.createElement('div');
-            keyElement.className = 'weak-key';
-            keyElement.textContent = key;
-            keyElement.title = `${errorsByKey[key]} errors`;
+            keyElement.className = item.unit.length > 1 ? 'weak-key bigram' : 'weak-key';
+            keyElement.textContent = item.unit;
+            keyElement.title = I18n.t('progress.keyDue', { errors: item.errors, date: item.due });
             elements.weakKeysList.appendChild(keyElement);
         });
     }
     
+    /**
+     * Show or hide the per-key error heatmap on the virtual keyboard
+     */
+    function updateHeatmap() {
+        if (elements.heatmapToggle.checked) {
+            const progress = readProgress();
+            VirtualKeyboard.showHeatmap(progress.errorsByKey || {});
+        } else {
+            VirtualKeyboard.clearHeatmap();
+        }
+    }
+    
     /**
      * Update UI elements
      */
@@ -1050,7 +7773,8 @@ const TypingTutor = (function() {
     }
     
     return {
-        init
+        init,
+        replaySession
     };
 })();
 
@@ -1058,9 +7782,15 @@ const TypingTutor = (function() {
 // APPLICATION INITIALIZATION
 // ============================================================================
 
-// Initialize the application when DOM is loaded
+// Initialize the application when DOM is loaded,
+// once saved progress has been loaded from storage
 document.addEventListener('DOMContentLoaded', function() {
-    TypingTutor.init();
+    DurableStorage.load()
+        .then(() => TypingTutor.init())
+        .catch(error => {
+            console.error('Sharp Typing Tutor could not start:', error);
+            alert(I18n.t('app.startFailed'));
+        });
 });
 
 // Add some additional utility functions for enhanced user experience
@@ -1070,7 +7800,7 @@ document.addEventListener('keydown', function(e) {
         const typingInput = document.getElementById('typing-input');
         if (document.activeElement === typingInput && !typingInput.disabled) {
             e.preventDefault();
-            alert('Lesson in progress! Use the Reset button if you want to restart.');
+            alert(I18n.t('app.refreshWarning'));
         }
     }
 });
@@ -1080,7 +7810,7 @@ window.addEventListener('beforeunload', function(e) {
     const typingInput = document.getElementById('typing-input');
     if (document.activeElement === typingInput && !typingInput.disabled) {
         e.preventDefault();
-        e.returnValue = 'You have a typing lesson in progress. Are you sure you want to leave?';
+        e.returnValue = I18n.t('app.leaveWarning');
         return e.returnValue;
     }
 });
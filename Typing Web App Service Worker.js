@@ -0,0 +1,64 @@
+/**
+ * Sharp Typing Tutor - Service Worker
+ *
+ * Caches the app shell so the tutor works offline. The curriculum, code
+ * snippets and locales are part of the script, so they are cached with it.
+ * Deployed next to the page as service-worker.js.
+ *
+ * Bump CACHE_VERSION with every release. The browser then installs the new
+ * worker alongside the old one, and the page offers to reload once it is
+ * ready. Caches from older versions are deleted when the new worker takes over.
+ */
+
+'use strict';
+
+const CACHE_VERSION = 'v1';
+const CACHE_NAME = `sharp-typing-tutor-${CACHE_VERSION}`;
+
+// Paths are relative to this worker, as the page is deployed
+const APP_SHELL = [
+    './',
+    'script.js',
+    'style.css',
+    'manifest.webmanifest',
+    'icon.svg'
+];
+
+self.addEventListener('install', (event) => {
+    // Skip the HTTP cache so a new version never caches stale files
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache =>
+            cache.addAll(APP_SHELL.map(path => new Request(path, { cache: 'reload' }))))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys().then(names => Promise.all(names
+            .filter(name => name.startsWith('sharp-typing-tutor-') && name !== CACHE_NAME)
+            .map(name => caches.delete(name))))
+    );
+});
+
+// The page asks the waiting worker to take over when the user accepts an update
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+/**
+ * Serve the app shell from the cache, falling back to the network.
+ * Pages are served from the cached shell whatever their URL, so the
+ * app opens offline from index.html or a query string too.
+ */
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    const cached = request.mode === 'navigate' ?
+        caches.match('./', { cacheName: CACHE_NAME }) :
+        caches.match(request, { cacheName: CACHE_NAME, ignoreSearch: true });
+
+    event.respondWith(cached.then(response => response || fetch(request)));
+});